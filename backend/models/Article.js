@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Longest notes allowed on an article; set ARTICLE_NOTES_MAX_LENGTH in config.env to change it
+const NOTES_MAX_LENGTH = parseInt(process.env.ARTICLE_NOTES_MAX_LENGTH, 10) || 5000;
+
 const articleSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -39,10 +42,20 @@ const articleSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // When the article last moved between lists (or was marked unread again); read-later retention counts from here if later than savedAt
+  movedAt: {
+    type: Date,
+    default: null
+  },
   readAt: {
     type: Date,
     default: null
   },
+  // Set by the cleanup service when an unread read-later article is about to expire
+  expiryWarningAt: {
+    type: Date,
+    default: null
+  },
   tags: [{
     type: String,
     trim: true
@@ -50,13 +63,19 @@ const articleSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true,
-    maxlength: 500
+    maxlength: [NOTES_MAX_LENGTH, `Notes can be at most ${NOTES_MAX_LENGTH} characters`]
   }
 });
 
 // Compound index to prevent duplicate saves
 articleSchema.index({ userId: 1, storyId: 1, type: 1 }, { unique: true });
 
+// Full-text index for article search, weighted so title matches rank first
+articleSchema.index(
+  { title: 'text', tags: 'text', notes: 'text', url: 'text' },
+  { name: 'article_text_search', weights: { title: 10, tags: 5, notes: 3, url: 1 } }
+);
+
 // Virtual for time since saved
 articleSchema.virtual('timeAgo').get(function() {
   const now = new Date();
@@ -75,4 +94,9 @@ articleSchema.virtual('timeAgo').get(function() {
 // Ensure virtual fields are serialized
 articleSchema.set('toJSON', { virtuals: true });
 
-module.exports = mongoose.model('Article', articleSchema);
+const Article = mongoose.model('Article', articleSchema);
+
+// Sent with article lists so the extension's notes editor uses the same limit
+Article.NOTES_MAX_LENGTH = NOTES_MAX_LENGTH;
+
+module.exports = Article;
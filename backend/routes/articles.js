@@ -1,9 +1,94 @@
 const express = require('express');
 const Article = require('../models/Article');
 const { protect } = require('../middleware/auth');
+const cleanupService = require('../services/cleanupService');
 
 const router = express.Router();
 
+// Search result limits
+const MAX_SEARCH_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+const SEARCH_HIGHLIGHT_FIELDS = ['title', 'notes', 'tags', 'url'];
+
+// Tag limits; tags are stored lowercase so the same tag typed differently is one tag
+const MAX_TAGS_PER_ARTICLE = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Lowercase, drop a leading "#" and join words with dashes
+const normalizeTag = (tag) => String(tag)
+  .trim()
+  .replace(/^#+/, '')
+  .replace(/\s+/g, '-')
+  .toLowerCase()
+  .slice(0, MAX_TAG_LENGTH);
+
+// Normalize a list of tags, dropping empties and duplicates
+const normalizeTags = (tags) => {
+  const normalized = tags.map(normalizeTag).filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS_PER_ARTICLE);
+};
+
+// Parse a comma-separated tags query parameter
+const parseTagsParam = (value) => normalizeTags(String(value || '').split(','));
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words to highlight: quoted phrases are split and negated terms dropped
+const getSearchTerms = (query) => {
+  const terms = query
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["']/g, '').toLowerCase())
+    .filter(term => term.length > 1);
+  return [...new Set(terms)];
+};
+
+// Cut a window of text around the first match and report where each match sits in it,
+// so the client can wrap them in <mark> without trusting server-built HTML
+const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) return null;
+
+  const start = Math.max(0, firstMatch.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+
+  const ranges = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(snippet)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  return { snippet, ranges };
+};
+
+// Highlighted snippets for every searchable field that contains a term
+const getHighlights = (article, terms) => {
+  return SEARCH_HIGHLIGHT_FIELDS
+    .map(field => {
+      const value = field === 'tags' ? (article.tags || []).join(', ') : article[field];
+      const snippet = buildSnippet(value, terms);
+      return snippet ? { field, ...snippet } : null;
+    })
+    .filter(Boolean);
+};
+
+// Parse a date query parameter; date-only upper bounds cover the whole day
+const parseDateParam = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
 // Save article
 router.post('/save', protect, async (req, res) => {
   try {
@@ -48,7 +133,7 @@ router.post('/save', protect, async (req, res) => {
       score: score || 0,
       author: author || 'unknown',
       comments: comments || 0,
-      tags: tags || [],
+      tags: Array.isArray(tags) ? normalizeTags(tags) : [],
       notes: notes || ''
     });
 
@@ -61,6 +146,12 @@ router.post('/save', protect, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     console.error('Save article error:', error);
     res.status(500).json({
       success: false,
@@ -93,6 +184,7 @@ router.get('/saved', protect, async (req, res) => {
       success: true,
       data: {
         articles,
+        notesMaxLength: Article.NOTES_MAX_LENGTH,
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -134,6 +226,8 @@ router.get('/read-later', protect, async (req, res) => {
       success: true,
       data: {
         articles,
+        notesMaxLength: Article.NOTES_MAX_LENGTH,
+        retention: cleanupService.getRetentionPolicy(),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -174,6 +268,7 @@ router.get('/all', protect, async (req, res) => {
       success: true,
       data: {
         articles,
+        notesMaxLength: Article.NOTES_MAX_LENGTH,
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -191,12 +286,233 @@ router.get('/all', protect, async (req, res) => {
   }
 });
 
+// Search articles by text, tags and saved date
+router.get('/search', protect, async (req, res) => {
+  try {
+    const { q = '', type, tags, from, to, page = 1 } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_SEARCH_LIMIT);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+    const query = String(q).trim();
+
+    const filter = { userId: req.user._id };
+    if (type && ['saved', 'read-later'].includes(type)) {
+      filter.type = type;
+    }
+
+    const tagList = parseTagsParam(tags);
+    if (tagList.length > 0) {
+      filter.tags = { $all: tagList };
+    }
+
+    if (from || to) {
+      const fromDate = from ? parseDateParam(from) : null;
+      const toDate = to ? parseDateParam(to, true) : null;
+
+      if ((from && !fromDate) || (to && !toDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+
+      filter.savedAt = {};
+      if (fromDate) filter.savedAt.$gte = fromDate;
+      if (toDate) filter.savedAt.$lte = toDate;
+    }
+
+    let matchMode = 'filter';
+    let articles = [];
+    let total = 0;
+
+    if (query) {
+      // Text search matches whole (stemmed) words and ranks by relevance
+      const textFilter = { ...filter, $text: { $search: query } };
+      total = await Article.countDocuments(textFilter);
+      matchMode = 'text';
+
+      if (total > 0) {
+        articles = await Article.find(textFilter)
+          .select({ relevance: { $meta: 'textScore' }, __v: 0 })
+          .sort({ relevance: { $meta: 'textScore' }, savedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean();
+      } else {
+        // Nothing matched a whole word, so fall back to partial matches while the user is typing
+        const pattern = new RegExp(escapeRegExp(query), 'i');
+        const partialFilter = {
+          ...filter,
+          $or: [{ title: pattern }, { notes: pattern }, { tags: pattern }, { url: pattern }]
+        };
+        total = await Article.countDocuments(partialFilter);
+        matchMode = 'partial';
+
+        articles = await Article.find(partialFilter)
+          .sort({ savedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .select('-__v')
+          .lean();
+      }
+    } else {
+      total = await Article.countDocuments(filter);
+      articles = await Article.find(filter)
+        .sort({ savedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v')
+        .lean();
+    }
+
+    const terms = matchMode === 'partial' ? [query.toLowerCase()] : getSearchTerms(query);
+
+    res.json({
+      success: true,
+      data: {
+        articles: articles.map(article => ({
+          ...article,
+          highlights: getHighlights(article, terms)
+        })),
+        matchMode,
+        notesMaxLength: Article.NOTES_MAX_LENGTH,
+        pagination: {
+          current: parseInt(page) || 1,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search articles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching articles'
+    });
+  }
+});
+
+// Get the user's tags with the number of articles using each
+router.get('/tags', protect, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const match = { userId: req.user._id };
+    if (type && ['saved', 'read-later'].includes(type)) {
+      match.type = type;
+    }
+
+    const tags = await Article.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+// Rename a tag on all of the user's articles; renaming to an existing tag merges the two
+router.put('/tags/:tag', protect, async (req, res) => {
+  try {
+    const rawTag = String(req.params.tag).trim();
+    const tag = normalizeTag(rawTag);
+    const name = normalizeTag(req.body.name || '');
+
+    if (!tag || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the tag and its new name'
+      });
+    }
+
+    // Renaming a legacy spelling (e.g. "JS") to its normalized form still has work to do
+    if (rawTag === name) {
+      return res.json({
+        success: true,
+        message: 'Tag unchanged',
+        data: { tag: name, modified: 0, merged: false }
+      });
+    }
+
+    // Tags saved before normalization may differ in case, so match them case-insensitively
+    const tagPattern = new RegExp(`^(${escapeRegExp(rawTag)}|${escapeRegExp(tag)})$`, 'i');
+    // Only a merge when the new name is a different tag, not another spelling of this one
+    const isSameTag = [tag, rawTag.toLowerCase()].includes(name);
+    const namePattern = new RegExp(`^${escapeRegExp(name)}$`, 'i');
+    const merged = !isSameTag && !!(await Article.exists({ userId: req.user._id, tags: namePattern }));
+
+    // Replace every spelling of the old and new tag with the new name, then drop the
+    // duplicates a merge leaves behind, keeping the tag order
+    const result = await Article.updateMany(
+      { userId: req.user._id, tags: tagPattern },
+      [{
+        $set: {
+          tags: {
+            $reduce: {
+              input: {
+                $map: {
+                  input: '$tags',
+                  as: 'tag',
+                  in: { $cond: [{ $in: [{ $toLower: '$$tag' }, [rawTag.toLowerCase(), tag, name]] }, name, '$$tag'] }
+                }
+              },
+              initialValue: [],
+              in: {
+                $cond: [
+                  { $in: ['$$this', '$$value'] },
+                  '$$value',
+                  { $concatArrays: ['$$value', ['$$this']] }
+                ]
+              }
+            }
+          }
+        }
+      }]
+    );
+
+    const modified = result.modifiedCount;
+
+    res.json({
+      success: true,
+      message: merged ? `Merged "${rawTag}" into "${name}"` : `Renamed "${rawTag}" to "${name}"`,
+      data: { tag: name, modified, merged }
+    });
+
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming tag'
+    });
+  }
+});
+
 // Update article (mark as read, add notes, etc.)
 router.put('/:id', protect, async (req, res) => {
   try {
     const { readAt, notes, tags } = req.body;
     const articleId = req.params.id;
 
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tags must be an array of strings'
+      });
+    }
+
     const article = await Article.findOne({
       _id: articleId,
       userId: req.user._id
@@ -210,14 +526,24 @@ router.put('/:id', protect, async (req, res) => {
     }
 
     const updateData = {};
-    if (readAt !== undefined) updateData.readAt = readAt;
+    if (readAt !== undefined) {
+      updateData.readAt = readAt;
+      // A read article no longer needs its expiry warning
+      if (readAt) updateData.expiryWarningAt = null;
+      // Marking a read-later article unread again restarts its unread retention, so it
+      // isn't deleted on the next cleanup run without ever being flagged as expiring
+      if (!readAt && article.readAt && article.type === 'read-later') {
+        updateData.movedAt = new Date();
+        updateData.expiryWarningAt = null;
+      }
+    }
     if (notes !== undefined) updateData.notes = notes;
-    if (tags !== undefined) updateData.tags = tags;
+    if (tags !== undefined) updateData.tags = normalizeTags(tags);
 
     const updatedArticle = await Article.findByIdAndUpdate(
       articleId,
       updateData,
-      { new: true }
+      { new: true, runValidators: true }
     ).select('-__v');
 
     res.json({
@@ -227,6 +553,12 @@ router.put('/:id', protect, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     console.error('Update article error:', error);
     res.status(500).json({
       success: false,
@@ -235,6 +567,113 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// Move article between saved and read-later in one operation, keeping tags, notes and savedAt
+router.patch('/:id/type', protect, async (req, res) => {
+  try {
+    const { type } = req.body;
+    const articleId = req.params.id;
+
+    if (!['saved', 'read-later'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be either "saved" or "read-later"'
+      });
+    }
+
+    const article = await Article.findOne({
+      _id: articleId,
+      userId: req.user._id
+    });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    if (article.type === type) {
+      return res.json({
+        success: true,
+        message: `Article already ${type}`,
+        data: { article, merged: false }
+      });
+    }
+
+    // The story is already in the target list: fold this copy into it instead of
+    // tripping the { userId, storyId, type } unique index
+    const existing = await Article.findOne({
+      userId: req.user._id,
+      storyId: article.storyId,
+      type
+    });
+
+    if (existing) {
+      const notes = [existing.notes, article.notes]
+        .filter(Boolean)
+        .filter((note, index, all) => all.indexOf(note) === index)
+        .join('\n\n');
+
+      existing.tags = normalizeTags([...existing.tags, ...article.tags]);
+      existing.notes = notes;
+      existing.savedAt = new Date(Math.min(existing.savedAt, article.savedAt));
+      existing.readAt = existing.readAt || article.readAt;
+      // Treat the merged copy as freshly moved, like the plain move below
+      existing.movedAt = new Date();
+      existing.expiryWarningAt = null;
+      await existing.save();
+
+      // Only drop the original once the merged copy is stored
+      await Article.deleteOne({ _id: article._id });
+
+      return res.json({
+        success: true,
+        message: `Article was already ${type}; merged into it`,
+        data: { article: existing, merged: true }
+      });
+    }
+
+    const updatedArticle = await Article.findOneAndUpdate(
+      { _id: articleId, userId: req.user._id, type: article.type },
+      { $set: { type, movedAt: new Date(), expiryWarningAt: null } },
+      { new: true, runValidators: true }
+    ).select('-__v');
+
+    if (!updatedArticle) {
+      return res.status(409).json({
+        success: false,
+        message: 'Article was changed by another request, please try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Article moved to ${type}`,
+      data: { article: updatedArticle, merged: false }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      // Another request added the story to the target list in the meantime
+      return res.status(409).json({
+        success: false,
+        message: `Article is already ${req.body.type}, please try again`
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Change article type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moving article'
+    });
+  }
+});
+
 // Delete article
 router.delete('/:id', protect, async (req, res) => {
   try {
@@ -0,0 +1,99 @@
+const express = require('express');
+const hnRelayService = require('../services/hnRelayService');
+
+const router = express.Router();
+
+const MAX_BATCH_ITEMS = 30;
+
+// Get multiple items (?ids=1,2,3)
+router.get('/items', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '')
+      .split(',')
+      .map(id => parseInt(id, 10))
+      .filter(id => Number.isInteger(id) && id > 0);
+
+    if (ids.length === 0 || ids.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide between 1 and ${MAX_BATCH_ITEMS} item ids`
+      });
+    }
+
+    const items = await hnRelayService.getItems(ids);
+
+    res.json({
+      success: true,
+      data: { items }
+    });
+  } catch (error) {
+    console.error('HN relay items error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Failed to fetch items from Hacker News'
+    });
+  }
+});
+
+// Get a single item
+router.get('/item/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item id'
+      });
+    }
+
+    const item = await hnRelayService.getItem(id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { item }
+    });
+  } catch (error) {
+    console.error('HN relay item error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Failed to fetch item from Hacker News'
+    });
+  }
+});
+
+// Get a story list (topstories, newstories, beststories, askstories, showstories, jobstories)
+router.get('/:list', async (req, res) => {
+  try {
+    const { list } = req.params;
+
+    if (!hnRelayService.isValidList(list)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown story list'
+      });
+    }
+
+    const ids = await hnRelayService.getList(list);
+
+    res.json({
+      success: true,
+      data: { ids }
+    });
+  } catch (error) {
+    console.error('HN relay list error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Failed to fetch story list from Hacker News'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ require('dotenv').config({ path: './config.env' });
 
 const authRoutes = require('./routes/auth');
 const articleRoutes = require('./routes/articles');
+const hnRoutes = require('./routes/hn');
 const cleanupService = require('./services/cleanupService');
 
 const app = express();
@@ -21,10 +22,25 @@ const limiter = rateLimit({
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  // The HN relay has its own budget below
+  skip: (req) => req.path.startsWith('/api/hn/')
 });
 app.use(limiter);
 
+// The HN relay is public, so it gets its own per-IP budget to keep it from being used
+// as an open proxy. It is sized for an extension that can't reach the HN API directly:
+// a refresh of all 6 feeds is about 12 relay calls, every 5 minutes at the shortest
+// interval, plus paging and comment threads (up to 4 calls per level of replies).
+const hnRelayLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // limit each IP to 300 relay requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many relay requests from this IP, please try again later.'
+  }
+});
+
 // CORS configuration
 app.use(cors({
   origin: true, // Allow all origins for development
@@ -54,6 +70,7 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/articles', articleRoutes);
+app.use('/api/hn', hnRelayLimiter, hnRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -91,6 +108,7 @@ app.listen(PORT, () => {
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/auth`);
   console.log(`📰 Article endpoints: http://localhost:${PORT}/api/articles`);
+  console.log(`🔁 HN relay endpoints: http://localhost:${PORT}/api/hn`);
 });
 
 // Graceful shutdown
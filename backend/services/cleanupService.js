@@ -5,16 +5,53 @@ const Article = require('../models/Article');
  * Cleanup Service for automatic article deletion
  * 
  * Retention Policy:
- * - Read Later articles: 15 days
+ * - Read Later articles: 15 days while unread, 3 days after being marked as read
  * - Saved articles: 1 year (365 days)
+ * 
+ * Unread Read Later articles entering their last 3 days are flagged
+ * (expiryWarningAt) so the extension can warn before they go.
  */
 
 class CleanupService {
     constructor() {
         this.READ_LATER_RETENTION_DAYS = 15;
+        this.READ_RETENTION_DAYS = 3;
+        this.EXPIRY_WARNING_DAYS = 3;
         this.SAVED_RETENTION_DAYS = 365;
     }
 
+    /**
+     * Retention periods, sent to the extension so it can show when articles expire
+     */
+    getRetentionPolicy() {
+        return {
+            readLaterDays: this.READ_LATER_RETENTION_DAYS,
+            readDays: this.READ_RETENTION_DAYS,
+            expiryWarningDays: this.EXPIRY_WARNING_DAYS,
+            savedDays: this.SAVED_RETENTION_DAYS
+        };
+    }
+
+    /**
+     * Filter for articles that have been in their current list since before the cutoff
+     * (savedAt and, for articles moved between lists, movedAt)
+     */
+    listedBefore(cutoff) {
+        return {
+            savedAt: { $lt: cutoff },
+            $or: [{ movedAt: null }, { movedAt: { $lt: cutoff } }]
+        };
+    }
+
+    /**
+     * Date the given number of days before now
+     */
+    daysAgo(days, now = new Date()) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - days);
+        return date;
+    }
+
     /**
      * Start the scheduled cleanup job
      * Runs every day at 2:00 AM
@@ -40,16 +77,32 @@ class CleanupService {
             const now = new Date();
             
             // Calculate cutoff dates
-            const readLaterCutoff = new Date(now);
-            readLaterCutoff.setDate(readLaterCutoff.getDate() - this.READ_LATER_RETENTION_DAYS);
-            
-            const savedCutoff = new Date(now);
-            savedCutoff.setDate(savedCutoff.getDate() - this.SAVED_RETENTION_DAYS);
+            const readLaterCutoff = this.daysAgo(this.READ_LATER_RETENTION_DAYS, now);
+            const readCutoff = this.daysAgo(this.READ_RETENTION_DAYS, now);
+            const warningCutoff = this.daysAgo(this.READ_LATER_RETENTION_DAYS - this.EXPIRY_WARNING_DAYS, now);
+            const savedCutoff = this.daysAgo(this.SAVED_RETENTION_DAYS, now);
+
+            // Delete read-later articles that were read more than 3 days ago
+            const readResult = await Article.deleteMany({
+                type: 'read-later',
+                readAt: { $ne: null, $lt: readCutoff }
+            });
 
-            // Delete old read-later articles (older than 15 days)
+            // Delete unread read-later articles (older than 15 days)
             const readLaterResult = await Article.deleteMany({
                 type: 'read-later',
-                savedAt: { $lt: readLaterCutoff }
+                readAt: null,
+                ...this.listedBefore(readLaterCutoff)
+            });
+
+            // Flag unread read-later articles that expire within the warning window
+            const warningResult = await Article.updateMany({
+                type: 'read-later',
+                readAt: null,
+                expiryWarningAt: null,
+                ...this.listedBefore(warningCutoff)
+            }, {
+                $set: { expiryWarningAt: now }
             });
 
             // Delete old saved articles (older than 1 year)
@@ -58,11 +111,16 @@ class CleanupService {
                 savedAt: { $lt: savedCutoff }
             });
 
-            const totalDeleted = readLaterResult.deletedCount + savedResult.deletedCount;
+            const totalDeleted = readResult.deletedCount + readLaterResult.deletedCount + savedResult.deletedCount;
+
+            if (warningResult.modifiedCount > 0) {
+                console.log(`⚠️  ${warningResult.modifiedCount} unread Read Later articles expire within ${this.EXPIRY_WARNING_DAYS} days`);
+            }
 
             if (totalDeleted > 0) {
                 console.log(`🗑️  Cleanup completed:`);
-                console.log(`   - Read Later articles deleted: ${readLaterResult.deletedCount} (older than ${this.READ_LATER_RETENTION_DAYS} days)`);
+                console.log(`   - Read articles deleted: ${readResult.deletedCount} (read more than ${this.READ_RETENTION_DAYS} days ago)`);
+                console.log(`   - Unread Read Later articles deleted: ${readLaterResult.deletedCount} (older than ${this.READ_LATER_RETENTION_DAYS} days)`);
                 console.log(`   - Saved articles deleted: ${savedResult.deletedCount} (older than ${this.SAVED_RETENTION_DAYS} days)`);
                 console.log(`   - Total deleted: ${totalDeleted}`);
             } else {
@@ -71,7 +129,9 @@ class CleanupService {
 
             return {
                 success: true,
+                readDeleted: readResult.deletedCount,
                 readLaterDeleted: readLaterResult.deletedCount,
+                expiryWarnings: warningResult.modifiedCount,
                 savedDeleted: savedResult.deletedCount,
                 totalDeleted
             };
@@ -92,16 +152,20 @@ class CleanupService {
         try {
             const now = new Date();
             
-            // Articles expiring in next 3 days
-            const readLaterWarning = new Date(now);
-            readLaterWarning.setDate(readLaterWarning.getDate() - (this.READ_LATER_RETENTION_DAYS - 3));
-            
-            const savedWarning = new Date(now);
-            savedWarning.setDate(savedWarning.getDate() - (this.SAVED_RETENTION_DAYS - 7));
+            // Unread articles expiring in the next 3 days, read ones in the next day
+            const readLaterWarning = this.daysAgo(this.READ_LATER_RETENTION_DAYS - this.EXPIRY_WARNING_DAYS, now);
+            const readWarning = this.daysAgo(this.READ_RETENTION_DAYS - 1, now);
+            const savedWarning = this.daysAgo(this.SAVED_RETENTION_DAYS - 7, now);
 
             const readLaterExpiring = await Article.countDocuments({
                 type: 'read-later',
-                savedAt: { $lt: readLaterWarning }
+                readAt: null,
+                ...this.listedBefore(readLaterWarning)
+            });
+
+            const readExpiring = await Article.countDocuments({
+                type: 'read-later',
+                readAt: { $ne: null, $lt: readWarning }
             });
 
             const savedExpiring = await Article.countDocuments({
@@ -111,6 +175,7 @@ class CleanupService {
 
             return {
                 readLaterExpiring,
+                readExpiring,
                 savedExpiring
             };
         } catch (error) {
@@ -0,0 +1,109 @@
+/**
+ * Hacker News Relay Service
+ * 
+ * Fetches story lists and items from the official Hacker News API and
+ * caches them in memory, so the extension has a fallback that doesn't
+ * depend on (or leak browsing to) third-party CORS proxies.
+ * 
+ * Cache TTLs:
+ * - Story lists (topstories, newstories, ...): 2 minutes
+ * - Items (stories, comments): 5 minutes
+ */
+
+const HN_API_BASE = 'https://hacker-news.firebaseio.com/v0';
+
+class HnRelayService {
+    constructor() {
+        this.LISTS = ['topstories', 'newstories', 'beststories', 'askstories', 'showstories', 'jobstories'];
+        this.LIST_TTL = 2 * 60 * 1000;
+        this.ITEM_TTL = 5 * 60 * 1000;
+        this.MAX_CACHE_ENTRIES = 5000;
+        this.REQUEST_TIMEOUT = 8000;
+        this.cache = new Map();
+    }
+
+    /**
+     * Check whether a list name is one the HN API publishes
+     */
+    isValidList(list) {
+        return this.LISTS.includes(list);
+    }
+
+    /**
+     * Get the story ids of a list (e.g. topstories)
+     */
+    async getList(list) {
+        return this.fetchCached(`/${list}.json`, this.LIST_TTL);
+    }
+
+    /**
+     * Get a single item (story or comment)
+     */
+    async getItem(id) {
+        return this.fetchCached(`/item/${id}.json`, this.ITEM_TTL);
+    }
+
+    /**
+     * Get several items at once; items that fail to load come back as null
+     */
+    async getItems(ids) {
+        return Promise.all(ids.map(async (id) => {
+            try {
+                return await this.getItem(id);
+            } catch (error) {
+                console.warn(`⚠️ HN relay failed to fetch item ${id}:`, error.message);
+                return null;
+            }
+        }));
+    }
+
+    /**
+     * Fetch a path from the HN API, serving it from cache while fresh
+     */
+    async fetchCached(path, ttl) {
+        const cached = this.cache.get(path);
+        if (cached && Date.now() - cached.fetchedAt < ttl) {
+            return cached.data;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(`${HN_API_BASE}${path}`, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HN API responded with ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.setCache(path, data);
+            return data;
+        } catch (error) {
+            // Serve stale data rather than nothing if HN is unreachable
+            if (cached) {
+                return cached.data;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Store a response, evicting the oldest entries past the size cap
+     */
+    setCache(path, data) {
+        this.cache.delete(path);
+        this.cache.set(path, { data, fetchedAt: Date.now() });
+
+        // Map keeps insertion order, so the first keys are the oldest
+        while (this.cache.size > this.MAX_CACHE_ENTRIES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+// Create singleton instance
+const hnRelayService = new HnRelayService();
+
+module.exports = hnRelayService;
@@ -1,73 +1,13 @@
 // Background script to handle dynamic new tab override and caching
-console.log('Background script loaded');
-
-// Inline cache utilities (importScripts not allowed in Manifest V3)
-class HackerNewsCache {
-    constructor() {
-        this.CACHE_DURATION = 30 * 60 * 1000; // 30 minutes in milliseconds
-        this.CACHE_KEY = 'hnCache';
-        this.CACHE_VERSION = '1.0';
-    }
+import { HN_FEEDS, DEFAULT_FEED, MIN_REFRESH_INTERVAL, hnCache, loadMuteFilters, partitionMutedStories } from './cache.js';
 
-    // Check if cached data is still fresh (within 30 minutes)
-    isCacheFresh(timestamp) {
-        if (!timestamp) return false;
-        const now = Date.now();
-        return (now - timestamp) < this.CACHE_DURATION;
-    }
-
-    // Get cached stories from Chrome storage
-    async getCachedStories() {
-        try {
-            const result = await chrome.storage.local.get([this.CACHE_KEY]);
-            return result[this.CACHE_KEY] || null;
-        } catch (error) {
-            console.error('Failed to get cached stories:', error);
-            return null;
-        }
-    }
-
-    // Save stories to Chrome storage with timestamp
-    async saveStoriesToCache(stories) {
-        try {
-            const cacheData = {
-                stories: stories,
-                timestamp: Date.now(),
-                version: this.CACHE_VERSION
-            };
-            await chrome.storage.local.set({ [this.CACHE_KEY]: cacheData });
-            console.log('Stories cached successfully');
-        } catch (error) {
-            console.error('Failed to save stories to cache:', error);
-        }
-    }
-
-    // Check if cache exists and is valid
-    async hasValidCache() {
-        const cached = await this.getCachedStories();
-        return cached && this.isCacheFresh(cached.timestamp);
-    }
-
-    // Get cache age in minutes
-    getCacheAge(timestamp) {
-        if (!timestamp) return null;
-        const now = Date.now();
-        return Math.floor((now - timestamp) / (60 * 1000));
-    }
-
-    // Clear old cache data
-    async clearCache() {
-        try {
-            await chrome.storage.local.remove([this.CACHE_KEY]);
-            console.log('Cache cleared successfully');
-        } catch (error) {
-            console.error('Failed to clear cache:', error);
-        }
-    }
-}
+console.log('Background script loaded');
 
-// Create a global instance for background script
-const hnCache = new HackerNewsCache();
+// The HN API is fetched directly; the backend relay is the fallback when that fails
+const HN_API_BASE = 'https://hacker-news.firebaseio.com/v0';
+const HN_RELAY_BASE = 'http://localhost:3000/api/hn';
+const RELAY_BATCH_SIZE = 30;
+const RELAY_BACKOFF_DEFAULT = 5 * 60 * 1000; // when a 429 comes without Retry-After
 
 // Listen for tab creation
 chrome.tabs.onCreated.addListener((tab) => {
@@ -140,98 +80,174 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     if (changes.newTabEnabled) {
         console.log('New tab setting changed to:', changes.newTabEnabled.newValue);
     }
+    
+    if (namespace === 'sync' && changes.refreshIntervalMinutes) {
+        console.log('Refresh interval changed to:', changes.refreshIntervalMinutes.newValue);
+        scheduleRefreshAlarm();
+    }
+    
+    if (namespace === 'sync' && changes.muteFilters) {
+        console.log('Mute filters changed, re-filtering cached stories...');
+        reapplyMuteFiltersToCache();
+    }
 });
 
+// Re-split every cached feed with the current mute filters (no refetch needed)
+async function reapplyMuteFiltersToCache() {
+    const muteFilters = await loadMuteFilters();
+    
+    for (const feedKey of Object.keys(HN_FEEDS)) {
+        try {
+            const cached = await hnCache.getCachedStories(feedKey);
+            if (!cached || !cached.stories) continue;
+            
+            const allStories = [...cached.stories, ...(cached.mutedStories || [])];
+            const { visible, muted } = partitionMutedStories(allStories, muteFilters);
+            
+            // Keep the original timestamp so freshness isn't affected
+            await chrome.storage.local.set({
+                [hnCache.getCacheKey(feedKey)]: { ...cached, stories: visible, mutedStories: muted }
+            });
+        } catch (error) {
+            console.error(`Failed to re-filter ${feedKey} cache:`, error);
+        }
+    }
+}
+
 // Background refresh functionality
-let refreshInterval = null;
+// chrome.alarms survives service worker suspension, unlike setInterval
+const REFRESH_ALARM = 'hnBackgroundRefresh';
+const DEFAULT_REFRESH_INTERVAL = 30; // minutes
+const POWER_STATE_MAX_AGE = 2 * 60 * 60 * 1000; // ignore battery reports older than 2 hours
 
-// Start background refresh (every 30 minutes)
-function startBackgroundRefresh() {
+// Start background refresh (refresh now, then on the user's interval)
+async function startBackgroundRefresh() {
     console.log('Starting background refresh...');
     
-    // Clear any existing interval
-    if (refreshInterval) {
-        clearInterval(refreshInterval);
-    }
-    
     // Refresh immediately on startup
     refreshStoriesInBackground();
     
-    // Then refresh every 30 minutes
-    refreshInterval = setInterval(() => {
-        console.log('Background refresh triggered (30 min interval)');
-        refreshStoriesInBackground();
-    }, 30 * 60 * 1000); // 30 minutes
+    await scheduleRefreshAlarm();
+}
+
+// (Re)create the refresh alarm from the user's interval setting
+async function scheduleRefreshAlarm() {
+    let interval = DEFAULT_REFRESH_INTERVAL;
+    try {
+        const result = await chrome.storage.sync.get(['refreshIntervalMinutes']);
+        if (result.refreshIntervalMinutes) {
+            interval = Math.max(MIN_REFRESH_INTERVAL, Number(result.refreshIntervalMinutes) || DEFAULT_REFRESH_INTERVAL);
+        }
+    } catch (error) {
+        // Settings loading failed, use default interval
+    }
+    
+    await chrome.alarms.clear(REFRESH_ALARM);
+    chrome.alarms.create(REFRESH_ALARM, {
+        delayInMinutes: interval,
+        periodInMinutes: interval
+    });
     
-    console.log('Background refresh scheduled every 30 minutes');
+    console.log(`Background refresh scheduled every ${interval} minutes`);
 }
 
-// Fetch stories from Hacker News API (background version)
-async function fetchStoriesFromAPI() {
+// Run a scheduled refresh unless the user asked to pause on battery/metered connections
+async function runScheduledRefresh() {
+    const pauseReason = await getRefreshPauseReason();
+    
+    if (pauseReason) {
+        console.log(`Background refresh skipped (${pauseReason})`);
+        await recordRefreshHistory({ lastSkipped: { timestamp: Date.now(), reason: pauseReason } });
+        return;
+    }
+    
+    console.log('Background refresh triggered (alarm)');
+    await refreshStoriesInBackground();
+}
+
+// Returns why a scheduled refresh should be paused, or null to go ahead
+async function getRefreshPauseReason() {
     try {
-        console.log('Fetching stories from Hacker News API...');
+        const settings = await chrome.storage.sync.get(['pauseRefreshOnBattery']);
+        if (!settings.pauseRefreshOnBattery) return null;
         
-        // Get the list of top story IDs
-        const response = await fetch('https://hacker-news.firebaseio.com/v0/topstories.json');
+        // Network Information API is available in service workers
+        const connection = navigator.connection;
+        if (connection && (connection.saveData || connection.type === 'cellular')) {
+            return 'metered connection';
+        }
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        // The Battery API isn't exposed to service workers, so the new tab page reports it
+        const { powerState } = await chrome.storage.local.get(['powerState']);
+        if (powerState && powerState.charging === false &&
+            Date.now() - powerState.updatedAt < POWER_STATE_MAX_AGE) {
+            return 'on battery';
         }
+    } catch (error) {
+        console.warn('Failed to check refresh pause conditions:', error);
+    }
+    
+    return null;
+}
+
+// Merge an update into the stored refresh history
+async function recordRefreshHistory(update) {
+    try {
+        const { refreshHistory } = await chrome.storage.local.get(['refreshHistory']);
+        await chrome.storage.local.set({ refreshHistory: { ...(refreshHistory || {}), ...update } });
+    } catch (error) {
+        console.error('Failed to save refresh history:', error);
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === REFRESH_ALARM) {
+        runScheduledRefresh();
+    }
+});
+
+// Make sure the alarm exists whenever the worker wakes up (e.g. after an update cleared it)
+chrome.alarms.get(REFRESH_ALARM, (alarm) => {
+    if (!alarm) {
+        scheduleRefreshAlarm();
+    }
+});
+
+// Fetch stories from Hacker News API (background version)
+async function fetchStoriesFromAPI(feed = DEFAULT_FEED) {
+    try {
+        const feedConfig = HN_FEEDS[feed] || HN_FEEDS[DEFAULT_FEED];
+        console.log(`Fetching ${feedConfig.endpoint} from Hacker News API...`);
         
-        const storyIds = await response.json();
+        // Get the list of story IDs for this feed
+        const storyIds = await fetchFeedIds(feedConfig.endpoint);
+        await hnCache.saveFeedIds(feed, storyIds);
         
-        // Get details for the first 30 stories (fetch more to ensure we have 20 valid ones)
-        const topStoryIds = storyIds.slice(0, 30);
+        // Only fetch items that are new or past their TTL - the rest come from the item cache
+        const itemCache = await hnCache.getItemCache();
+        const fetchedItems = new Map();
         
-        // Fetch stories in parallel batches of 5 to speed things up
-        const batchSize = 5;
-        const stories = [];
+        // Assemble stories in feed order, falling back to a stale copy if a refetch failed;
+        // deleted and dead items are dropped, as on later pages
+        const assembleStories = (ids) => ids
+            .map(id => fetchedItems.get(id) || (itemCache[id] && itemCache[id].item))
+            .filter(story => story && !story.deleted && !story.dead);
         
-        for (let i = 0; i < topStoryIds.length; i += batchSize) {
-            const batch = topStoryIds.slice(i, i + batchSize);
+        // First 20 ids, then up to 10 more if some of those failed
+        let stories = [];
+        for (const ids of [storyIds.slice(0, 20), storyIds.slice(20, 30)]) {
+            const staleIds = ids.filter(id => hnCache.isItemStale(itemCache[id]));
+            console.log(`${feed}: ${ids.length - staleIds.length} items fresh in cache, fetching ${staleIds.length}`);
             
-            // Fetch each batch in parallel
-            const batchPromises = batch.map(async (storyId) => {
-                try {
-                    const controller = new AbortController();
-                    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout per story
-                    
-                    const storyResponse = await fetch(
-                        `https://hacker-news.firebaseio.com/v0/item/${storyId}.json`,
-                        { signal: controller.signal }
-                    );
-                    
-                    clearTimeout(timeoutId);
-                    
-                    if (storyResponse.ok) {
-                        const story = await storyResponse.json();
-                        return story;
-                    }
-                    return null;
-                } catch (error) {
-                    console.warn(`Failed to fetch story ${storyId}:`, error.message);
-                    return null;
-                }
-            });
-            
-            // Wait for all stories in this batch
-            const batchResults = await Promise.all(batchPromises);
+            const newItems = await fetchItemsInBatches(staleIds);
+            newItems.forEach(item => fetchedItems.set(item.id, item));
             
-            // Add valid stories to our collection
-            const validStories = batchResults.filter(story => story !== null);
-            stories.push(...validStories);
-            
-            // Stop if we have enough stories
-            if (stories.length >= 20) {
-                break;
-            }
-            
-            // Small delay between batches to avoid overwhelming the API
-            if (i + batchSize < topStoryIds.length) {
-                await new Promise(resolve => setTimeout(resolve, 200));
-            }
+            stories = assembleStories(storyIds.slice(0, 30));
+            if (stories.length >= 20) break;
         }
         
+        await hnCache.saveItemsToCache([...fetchedItems.values()]);
+        
         console.log(`Successfully fetched ${stories.length} stories`);
         return stories.slice(0, 20); // Return exactly 20 stories
         
@@ -241,32 +257,218 @@ async function fetchStoriesFromAPI() {
     }
 }
 
-// Background refresh (no UI loading, silent update)
-async function refreshStoriesInBackground() {
+// Fetch one page of a feed beyond the cached first page.
+// Uses the id list saved with the first page so paging doesn't shift as the feed changes.
+async function fetchStoryPage(feed, offset, limit) {
+    const feedConfig = HN_FEEDS[feed] || HN_FEEDS[DEFAULT_FEED];
+    
+    let feedIds = await hnCache.getFeedIds(feed);
+    if (!feedIds || !hnCache.isCacheFresh(feedIds.fetchedAt)) {
+        const ids = await fetchFeedIds(feedConfig.endpoint);
+        await hnCache.saveFeedIds(feed, ids);
+        feedIds = { ids };
+    }
+    
+    const pageIds = feedIds.ids.slice(offset, offset + limit);
+    const itemCache = await hnCache.getItemCache();
+    const staleIds = pageIds.filter(id => hnCache.isItemStale(itemCache[id]));
+    console.log(`${feed} page at ${offset}: ${pageIds.length - staleIds.length} items fresh in cache, fetching ${staleIds.length}`);
+    
+    const newItems = await fetchItemsInBatches(staleIds);
+    await hnCache.saveItemsToCache(newItems);
+    
+    const fetchedItems = new Map(newItems.map(item => [item.id, item]));
+    const stories = pageIds
+        .map(id => fetchedItems.get(id) || (itemCache[id] && itemCache[id].item))
+        .filter(story => story && !story.deleted && !story.dead);
+    
+    const nextOffset = offset + pageIds.length;
+    return {
+        stories: stories,
+        nextOffset: nextOffset,
+        hasMore: nextOffset < feedIds.ids.length
+    };
+}
+
+// Fetch a feed's story ids, falling back to the backend relay
+async function fetchFeedIds(endpoint) {
     try {
-        console.log('Background refresh: Fetching fresh stories...');
+        const response = await fetch(`${HN_API_BASE}/${endpoint}.json`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
         
-        const stories = await fetchStoriesFromAPI();
+        return await response.json();
+    } catch (error) {
+        console.warn(`Direct fetch of ${endpoint} failed, trying backend relay:`, error.message);
         
-        if (stories && stories.length > 0) {
-            // Save to cache
-            await hnCache.saveStoriesToCache(stories);
-            console.log('Background refresh: Stories cached successfully');
-            
-            // Notify any open popup/newtab pages about the update
-            notifyUIOfUpdate(stories);
-        } else {
-            console.warn('Background refresh: No stories received');
+        const data = await fetchFromRelay(endpoint);
+        return data.ids;
+    }
+}
+
+// GET a relay path and return its data. After a 429 the relay isn't called again until
+// the server's Retry-After has passed; the pause lives in session storage because the
+// worker is usually stopped between alarms.
+async function fetchFromRelay(path) {
+    const { relayBackoffUntil } = await chrome.storage.session.get(['relayBackoffUntil']);
+    if (relayBackoffUntil && Date.now() < relayBackoffUntil) {
+        throw new Error(`Backend relay is rate limited until ${new Date(relayBackoffUntil).toLocaleTimeString()}`);
+    }
+    
+    const response = await fetch(`${HN_RELAY_BASE}/${path}`);
+    
+    if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        const backoffUntil = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : RELAY_BACKOFF_DEFAULT);
+        await chrome.storage.session.set({ relayBackoffUntil: backoffUntil });
+        throw new Error(`Backend relay is rate limited until ${new Date(backoffUntil).toLocaleTimeString()}`);
+    }
+    
+    const result = await response.json();
+    
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || `Relay error! status: ${response.status}`);
+    }
+    
+    return result.data;
+}
+
+// Fetch items in parallel batches of 5, skipping ones that fail
+async function fetchItemsInBatches(itemIds) {
+    const items = await fetchItemsWithFallback(itemIds);
+    return items.filter(item => item !== null);
+}
+
+// Fetch items directly in batches of 5, then retry any failures through the relay.
+// Returns an array aligned with itemIds, with null for items that couldn't be loaded.
+async function fetchItemsWithFallback(itemIds) {
+    const batchSize = 5;
+    const items = [];
+    
+    for (let i = 0; i < itemIds.length; i += batchSize) {
+        const batch = itemIds.slice(i, i + batchSize);
+        
+        // Fetch each batch in parallel
+        const batchResults = await Promise.all(batch.map(itemId => fetchItemFromAPI(itemId)));
+        items.push(...batchResults);
+        
+        // Small delay between batches to avoid overwhelming the API
+        if (i + batchSize < itemIds.length) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    
+    const failedIds = itemIds.filter((id, index) => items[index] === null);
+    if (failedIds.length > 0) {
+        const relayItems = await fetchItemsFromRelay(failedIds);
+        itemIds.forEach((id, index) => {
+            if (items[index] === null && relayItems.has(id)) {
+                items[index] = relayItems.get(id);
+            }
+        });
+    }
+    
+    return items;
+}
+
+// Fetch items through the backend relay, returning a Map of id -> item
+async function fetchItemsFromRelay(itemIds) {
+    const items = new Map();
+    
+    for (let i = 0; i < itemIds.length; i += RELAY_BATCH_SIZE) {
+        const batch = itemIds.slice(i, i + RELAY_BATCH_SIZE);
+        
+        try {
+            const data = await fetchFromRelay(`items?ids=${batch.join(',')}`);
+            data.items.forEach(item => {
+                if (item) items.set(item.id, item);
+            });
+        } catch (error) {
+            console.warn('Backend relay unavailable:', error.message);
+            break; // No point trying more batches if the relay is down or rate limited
         }
+    }
+    
+    return items;
+}
+
+// Fetch a single HN item (story or comment), or null if it fails
+async function fetchItemFromAPI(itemId) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout per item
+        
+        const itemResponse = await fetch(
+            `${HN_API_BASE}/item/${itemId}.json`,
+            { signal: controller.signal }
+        );
         
+        clearTimeout(timeoutId);
+        
+        if (itemResponse.ok) {
+            return await itemResponse.json();
+        }
+        return null;
     } catch (error) {
-        console.error('Background refresh failed:', error);
-        // Don't throw error - background refresh should be silent
+        console.warn(`Failed to fetch item ${itemId}:`, error.message);
+        return null;
     }
 }
 
+// Background refresh (no UI loading, silent update)
+// Refreshes every feed, or just one when a feed is given
+async function refreshStoriesInBackground(feed = null) {
+    const feeds = feed ? [feed] : Object.keys(HN_FEEDS);
+    
+    const muteFilters = await loadMuteFilters();
+    const startTime = Date.now();
+    const failedFeeds = [];
+    let lastError = null;
+    
+    for (const feedKey of feeds) {
+        try {
+            console.log(`Background refresh: Fetching fresh ${feedKey} stories...`);
+            
+            const stories = await fetchStoriesFromAPI(feedKey);
+            
+            if (stories && stories.length > 0) {
+                // Apply mute filters, then save to cache
+                const { visible, muted } = partitionMutedStories(stories, muteFilters);
+                await hnCache.saveStoriesToCache(visible, feedKey, muted);
+                console.log(`Background refresh: ${feedKey} stories cached successfully (${muted.length} muted)`);
+                
+                // Notify any open popup/newtab pages about the update
+                notifyUIOfUpdate(visible, feedKey, muted);
+            } else {
+                console.warn(`Background refresh: No ${feedKey} stories received`);
+                failedFeeds.push(feedKey);
+                lastError = 'No stories received';
+            }
+            
+        } catch (error) {
+            console.error(`Background refresh failed for ${feedKey}:`, error);
+            failedFeeds.push(feedKey);
+            lastError = error.message;
+            // Don't throw error - background refresh should be silent
+        }
+    }
+    
+    // Record how this run went for the settings modal
+    const entry = { timestamp: Date.now(), duration: Date.now() - startTime, feeds: feeds };
+    const update = {};
+    if (failedFeeds.length < feeds.length) {
+        update.lastSuccess = entry;
+    }
+    if (failedFeeds.length > 0) {
+        update.lastFailure = { ...entry, feeds: failedFeeds, error: lastError };
+    }
+    await recordRefreshHistory(update);
+}
+
 // Notify UI components about cache update
-function notifyUIOfUpdate(stories) {
+function notifyUIOfUpdate(stories, feed = DEFAULT_FEED, mutedStories = []) {
     try {
         // Send message to all tabs with our extension pages
         chrome.tabs.query({}, (tabs) => {
@@ -279,7 +481,10 @@ function notifyUIOfUpdate(stories) {
                 )) {
                     chrome.tabs.sendMessage(tab.id, {
                         type: 'STORIES_UPDATED',
-                        stories: stories
+                        feed: feed,
+                        stories: stories,
+                        mutedStories: mutedStories,
+                        timestamp: Date.now()
                     }).catch(() => {
                         // Ignore errors - tab might be closed or not ready
                     });
@@ -295,25 +500,44 @@ function notifyUIOfUpdate(stories) {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'FORCE_REFRESH') {
         console.log('Force refresh requested from UI');
-        refreshStoriesInBackground();
+        refreshStoriesInBackground(message.feed || null);
         sendResponse({ success: true });
     } else if (message.type === 'FETCH_STORIES') {
-        console.log('Fetch stories requested from UI');
-        handleFetchStories(sendResponse);
+        const feed = HN_FEEDS[message.feed] ? message.feed : DEFAULT_FEED;
+        console.log(`Fetch stories requested from UI (${feed})`);
+        handleFetchStories(feed, sendResponse);
+        return true; // Keep the message channel open for async response
+    } else if (message.type === 'FETCH_STORY_PAGE') {
+        // Infinite scroll in the new tab - pages past the cached first page
+        const feed = HN_FEEDS[message.feed] ? message.feed : DEFAULT_FEED;
+        const offset = Math.max(parseInt(message.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(message.limit, 10) || 20, 1), 50);
+        fetchStoryPage(feed, offset, limit)
+            .then(page => sendResponse({ success: true, ...page }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep the message channel open for async response
+    } else if (message.type === 'FETCH_ITEMS') {
+        // Comment threads and other item lookups from the pages
+        const ids = Array.isArray(message.ids) ? message.ids.slice(0, 100) : [];
+        fetchItemsWithFallback(ids)
+            .then(items => sendResponse({ success: true, items: items }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
         return true; // Keep the message channel open for async response
     }
 });
 
 // Handle fetch stories request
-async function handleFetchStories(sendResponse) {
+async function handleFetchStories(feed, sendResponse) {
     try {
         // First check if we have fresh cache
-        const cached = await hnCache.getCachedStories();
+        const cached = await hnCache.getCachedStories(feed);
         if (cached && hnCache.isCacheFresh(cached.timestamp)) {
             console.log('Returning fresh cached stories');
             sendResponse({ 
                 success: true, 
                 stories: cached.stories,
+                mutedStories: cached.mutedStories || [],
+                timestamp: cached.timestamp,
                 fromCache: true 
             });
             return;
@@ -321,15 +545,18 @@ async function handleFetchStories(sendResponse) {
         
         // Cache is stale or empty, fetch fresh data
         console.log('Cache is stale/empty, fetching fresh stories...');
-        const stories = await fetchStoriesFromAPI();
+        const stories = await fetchStoriesFromAPI(feed);
         
         if (stories && stories.length > 0) {
-            // Save to cache
-            await hnCache.saveStoriesToCache(stories);
+            // Apply mute filters, then save to cache
+            const { visible, muted } = partitionMutedStories(stories, await loadMuteFilters());
+            await hnCache.saveStoriesToCache(visible, feed, muted);
             console.log('Fresh stories fetched and cached');
             sendResponse({ 
                 success: true, 
-                stories: stories,
+                stories: visible,
+                mutedStories: muted,
+                timestamp: Date.now(),
                 fromCache: false 
             });
         } else {
@@ -340,12 +567,14 @@ async function handleFetchStories(sendResponse) {
         console.error('Failed to fetch stories:', error);
         
         // Try to return stale cache as fallback
-        const cached = await hnCache.getCachedStories();
+        const cached = await hnCache.getCachedStories(feed);
         if (cached && cached.stories && cached.stories.length > 0) {
             console.log('API failed, returning stale cached stories');
             sendResponse({ 
                 success: true, 
                 stories: cached.stories,
+                mutedStories: cached.mutedStories || [],
+                timestamp: cached.timestamp,
                 fromCache: true,
                 stale: true 
             });
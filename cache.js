@@ -0,0 +1,397 @@
+// Shared Hacker News cache - imported as an ES module by background.js, newtab.js and popup.js
+// Story reads from the pages go through the background worker's FETCH_STORIES message;
+// the pages only use this module to read/clear the cache and apply mute filters.
+
+// Hacker News feeds and the API endpoint each one is served from
+export const HN_FEEDS = {
+    top: { label: 'Top', endpoint: 'topstories' },
+    new: { label: 'New', endpoint: 'newstories' },
+    best: { label: 'Best', endpoint: 'beststories' },
+    ask: { label: 'Ask', endpoint: 'askstories' },
+    show: { label: 'Show', endpoint: 'showstories' },
+    job: { label: 'Jobs', endpoint: 'jobstories' }
+};
+export const DEFAULT_FEED = 'top';
+
+// Shortest background refresh interval (minutes) the worker will schedule
+export const MIN_REFRESH_INTERVAL = 5;
+
+// Mute filters (muteFilters in sync storage): title keywords or /regex/, domains and submitters
+export const DEFAULT_MUTE_FILTERS = { keywords: [], domains: [], users: [] };
+
+// Load mute filters from sync storage
+export async function loadMuteFilters() {
+    try {
+        const result = await chrome.storage.sync.get(['muteFilters']);
+        return { ...DEFAULT_MUTE_FILTERS, ...(result.muteFilters || {}) };
+    } catch (error) {
+        return { ...DEFAULT_MUTE_FILTERS };
+    }
+}
+
+// Check a title against one keyword rule - "/pattern/" rules are case-insensitive regexes
+function matchesMuteKeyword(title, rule) {
+    const regexRule = rule.match(/^\/(.+)\/[a-z]*$/);
+    if (regexRule) {
+        try {
+            return new RegExp(regexRule[1], 'i').test(title);
+        } catch (error) {
+            return false; // Invalid regex - ignore the rule
+        }
+    }
+    return title.includes(rule.toLowerCase());
+}
+
+// Check whether a story matches any mute filter
+export function isStoryMuted(story, filters) {
+    if (!story || !filters) return false;
+
+    const author = (story.by || '').toLowerCase();
+    if ((filters.users || []).some(user => user.toLowerCase() === author)) return true;
+
+    let domain = '';
+    try {
+        domain = story.url ? new URL(story.url).hostname.replace(/^www\./, '').toLowerCase() : '';
+    } catch (error) {
+        // Malformed URL - skip the domain check
+    }
+    if (domain && (filters.domains || []).some(rule => domain === rule || domain.endsWith(`.${rule}`))) return true;
+
+    const title = (story.title || '').toLowerCase();
+    return (filters.keywords || []).some(rule => matchesMuteKeyword(title, rule));
+}
+
+// Split stories into visible and muted lists, keeping feed order
+export function partitionMutedStories(stories, filters) {
+    const visible = [];
+    const muted = [];
+    stories.forEach(story => {
+        (isStoryMuted(story, filters) ? muted : visible).push(story);
+    });
+    return { visible, muted };
+}
+
+// Read-modify-write updates of the shared item, feed id and snapshot maps run one at a
+// time, so a page fetch and a feed refresh in the worker don't drop each other's entries
+let pendingWrites = Promise.resolve();
+
+function queueWrite(write) {
+    const result = pendingWrites.then(write);
+    pendingWrites = result.catch(() => {});
+    return result;
+}
+
+// Cache Management Utilities
+export class HackerNewsCache {
+    constructor() {
+        this.CACHE_DURATION = 30 * 60 * 1000; // 30 minutes in milliseconds
+        this.CACHE_KEY = 'hnCache';
+        this.CACHE_VERSION = '1.0';
+        
+        // Per-item cache (keyed by story id) and "last looked" snapshots for score/comment deltas
+        this.ITEMS_KEY = 'hnItems';
+        this.SNAPSHOTS_KEY = 'storySnapshots';
+        this.MAX_CACHED_ITEMS = 2000;
+        this.MAX_SNAPSHOTS = 1000;
+        
+        // Full id list of each feed, so later pages can be fetched in the same order as the first
+        this.FEED_IDS_KEY = 'hnFeedIds';
+    }
+
+    // Each feed gets its own cache entry (top keeps the original key)
+    getCacheKey(feed = DEFAULT_FEED) {
+        return feed === DEFAULT_FEED ? this.CACHE_KEY : `${this.CACHE_KEY}_${feed}`;
+    }
+
+    // Check if cached data is still fresh (within 30 minutes)
+    isCacheFresh(timestamp) {
+        if (!timestamp) return false;
+        const now = Date.now();
+        return (now - timestamp) < this.CACHE_DURATION;
+    }
+
+    // Get cached stories from Chrome storage
+    async getCachedStories(feed = DEFAULT_FEED) {
+        try {
+            const cacheKey = this.getCacheKey(feed);
+            const result = await chrome.storage.local.get([cacheKey]);
+            return result[cacheKey] || null;
+        } catch (error) {
+            console.error('Failed to get cached stories:', error);
+            return null;
+        }
+    }
+
+    // Save stories to Chrome storage with timestamp (muted stories are kept apart so they can be revealed)
+    async saveStoriesToCache(stories, feed = DEFAULT_FEED, mutedStories = []) {
+        try {
+            const cacheData = {
+                stories: stories,
+                mutedStories: mutedStories,
+                feed: feed,
+                timestamp: Date.now(),
+                version: this.CACHE_VERSION
+            };
+            await chrome.storage.local.set({ [this.getCacheKey(feed)]: cacheData });
+            console.log(`Stories cached successfully (${feed})`);
+            
+            // Update the display timestamp
+            this.updateDisplayTimestamp(cacheData.timestamp);
+        } catch (error) {
+            console.error('Failed to save stories to cache:', error);
+        }
+    }
+
+    // Update the display timestamp (no-op in the background worker, which has no DOM)
+    updateDisplayTimestamp(timestamp) {
+        if (typeof document === 'undefined') return;
+        
+        const updateTimeElement = document.querySelector('.update-time');
+        if (updateTimeElement) {
+            const now = Date.now();
+            const minutesAgo = Math.floor((now - timestamp) / (60 * 1000));
+            
+            if (minutesAgo < 1) {
+                updateTimeElement.textContent = 'Updated just now';
+            } else if (minutesAgo === 1) {
+                updateTimeElement.textContent = 'Updated 1 min ago';
+            } else {
+                updateTimeElement.textContent = `Updated ${minutesAgo} mins ago`;
+            }
+        }
+    }
+
+    // Visible and muted stories from a cache entry - filters are re-applied on display
+    getAllStories(cached) {
+        if (!cached) return [];
+        return [...(cached.stories || []), ...(cached.mutedStories || [])];
+    }
+
+    // Check if cache exists and is valid
+    async hasValidCache(feed = DEFAULT_FEED) {
+        const cached = await this.getCachedStories(feed);
+        return cached && this.isCacheFresh(cached.timestamp);
+    }
+
+    // Get cache age in minutes
+    getCacheAge(timestamp) {
+        if (!timestamp) return null;
+        const now = Date.now();
+        return Math.floor((now - timestamp) / (60 * 1000));
+    }
+
+    // Clear old cache data (all feeds unless one is given)
+    async clearCache(feed = null) {
+        try {
+            const keys = feed
+                ? [this.getCacheKey(feed)]
+                : Object.keys(HN_FEEDS).map(key => this.getCacheKey(key));
+            await chrome.storage.local.remove(keys);
+            console.log('Cache cleared successfully');
+        } catch (error) {
+            console.error('Failed to clear cache:', error);
+        }
+    }
+
+    // Get cache info for debugging
+    async getCacheInfo(feed = DEFAULT_FEED) {
+        const cached = await this.getCachedStories(feed);
+        if (!cached) {
+            return { exists: false };
+        }
+        
+        return {
+            exists: true,
+            isFresh: this.isCacheFresh(cached.timestamp),
+            age: this.getCacheAge(cached.timestamp),
+            storyCount: cached.stories ? cached.stories.length : 0,
+            version: cached.version,
+            timestamp: cached.timestamp
+        };
+    }
+
+    // Force refresh cache (bypass cache check)
+    async forceRefresh(feed = DEFAULT_FEED) {
+        try {
+            await this.clearCache(feed);
+            
+            // Trigger background refresh
+            chrome.runtime.sendMessage({ type: 'FORCE_REFRESH', feed: feed });
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to force refresh cache:', error);
+            return false;
+        }
+    }
+
+    // Check if cache is too old (more than 2 hours)
+    isCacheTooOld(timestamp) {
+        if (!timestamp) return true;
+        const now = Date.now();
+        const twoHours = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
+        return (now - timestamp) > twoHours;
+    }
+
+    // Auto-cleanup old cache
+    async autoCleanup(feed = DEFAULT_FEED) {
+        try {
+            const cached = await this.getCachedStories(feed);
+            if (cached && this.isCacheTooOld(cached.timestamp)) {
+                await this.clearCache(feed);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error('Failed to auto-cleanup cache:', error);
+            return false;
+        }
+    }
+
+    // Get cache statistics
+    async getCacheStats(feed = DEFAULT_FEED) {
+        const info = await this.getCacheInfo(feed);
+        if (!info.exists) {
+            return { status: 'No cache' };
+        }
+        
+        return {
+            status: info.isFresh ? 'Fresh' : 'Stale',
+            age: `${info.age} minutes`,
+            storyCount: info.storyCount,
+            lastUpdated: new Date(info.timestamp).toLocaleString(),
+            version: info.version
+        };
+    }
+
+    // ==================== PER-ITEM CACHE ====================
+
+    // Item TTL by story age - new stories move fast, day-old ones barely change
+    getItemTTL(item) {
+        const ageHours = (Date.now() / 1000 - (item.time || 0)) / 3600;
+        if (ageHours < 2) return 5 * 60 * 1000;
+        if (ageHours < 24) return 15 * 60 * 1000;
+        return 60 * 60 * 1000;
+    }
+
+    // Check whether a cached item entry is missing or past its TTL
+    isItemStale(entry) {
+        if (!entry || !entry.item) return true;
+        return Date.now() - entry.fetchedAt > this.getItemTTL(entry.item);
+    }
+
+    // Get the whole item cache ({ [id]: { item, fetchedAt } })
+    async getItemCache() {
+        try {
+            const result = await chrome.storage.local.get([this.ITEMS_KEY]);
+            return result[this.ITEMS_KEY] || {};
+        } catch (error) {
+            console.error('Failed to get item cache:', error);
+            return {};
+        }
+    }
+
+    // Add freshly fetched items, dropping the least recently fetched past the size cap
+    async saveItemsToCache(items) {
+        if (!items.length) return;
+        
+        await queueWrite(async () => {
+            try {
+                const itemCache = await this.getItemCache();
+                const fetchedAt = Date.now();
+                items.forEach(item => {
+                    itemCache[item.id] = { item, fetchedAt };
+                });
+                
+                const kept = Object.entries(itemCache)
+                    .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+                    .slice(0, this.MAX_CACHED_ITEMS);
+                
+                await chrome.storage.local.set({ [this.ITEMS_KEY]: Object.fromEntries(kept) });
+            } catch (error) {
+                console.error('Failed to save items to cache:', error);
+            }
+        });
+    }
+
+    // ==================== FEED IDS ====================
+
+    // Get a feed's cached id list ({ ids, fetchedAt }), or null if it was never fetched
+    async getFeedIds(feed = DEFAULT_FEED) {
+        try {
+            const result = await chrome.storage.local.get([this.FEED_IDS_KEY]);
+            return (result[this.FEED_IDS_KEY] || {})[feed] || null;
+        } catch (error) {
+            console.error('Failed to get feed ids:', error);
+            return null;
+        }
+    }
+
+    // Save a feed's id list (up to 500 ids from the feed endpoint)
+    async saveFeedIds(feed, ids) {
+        await queueWrite(async () => {
+            try {
+                const result = await chrome.storage.local.get([this.FEED_IDS_KEY]);
+                const feedIds = result[this.FEED_IDS_KEY] || {};
+                feedIds[feed] = { ids, fetchedAt: Date.now() };
+                await chrome.storage.local.set({ [this.FEED_IDS_KEY]: feedIds });
+            } catch (error) {
+                console.error('Failed to save feed ids:', error);
+            }
+        });
+    }
+
+    // ==================== VIEW SNAPSHOTS ====================
+
+    // Score/comment counts as of the last time each story was shown ({ [id]: { score, descendants, seenAt } })
+    async getViewSnapshots() {
+        try {
+            const result = await chrome.storage.local.get([this.SNAPSHOTS_KEY]);
+            return result[this.SNAPSHOTS_KEY] || {};
+        } catch (error) {
+            console.error('Failed to get view snapshots:', error);
+            return {};
+        }
+    }
+
+    // Remember the current counts of stories that were just shown
+    async recordViewSnapshots(stories) {
+        if (!stories.length) return;
+        
+        await queueWrite(async () => {
+            try {
+                const snapshots = await this.getViewSnapshots();
+                const seenAt = Date.now();
+                stories.forEach(story => {
+                    snapshots[story.id] = {
+                        score: story.score || 0,
+                        descendants: story.descendants || 0,
+                        seenAt
+                    };
+                });
+            
+                const kept = Object.entries(snapshots)
+                    .sort((a, b) => b[1].seenAt - a[1].seenAt)
+                    .slice(0, this.MAX_SNAPSHOTS);
+            
+                await chrome.storage.local.set({ [this.SNAPSHOTS_KEY]: Object.fromEntries(kept) });
+            } catch (error) {
+                console.error('Failed to save view snapshots:', error);
+            }
+        });
+    }
+
+    // Points/comments gained since a snapshot, or null if nothing changed (or never seen)
+    getStoryDeltas(story, snapshot) {
+        if (!snapshot) return null;
+        
+        const points = (story.score || 0) - snapshot.score;
+        const comments = (story.descendants || 0) - snapshot.descendants;
+        if (points <= 0 && comments <= 0) return null;
+        
+        return { points: Math.max(points, 0), comments: Math.max(comments, 0) };
+    }
+}
+
+// Shared instance for the background worker, new tab and popup
+export const hnCache = new HackerNewsCache();
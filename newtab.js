@@ -1,165 +1,241 @@
-// Cache Management Utilities
-class HackerNewsCache {
-    constructor() {
-        this.CACHE_DURATION = 30 * 60 * 1000; // 30 minutes in milliseconds
-        this.CACHE_KEY = 'hnCache';
-        this.CACHE_VERSION = '1.0';
-    }
-
-    // Check if cached data is still fresh (within 30 minutes)
-    isCacheFresh(timestamp) {
-        if (!timestamp) return false;
-        const now = Date.now();
-        return (now - timestamp) < this.CACHE_DURATION;
-    }
-
-    // Get cached stories from Chrome storage
-    async getCachedStories() {
-        try {
-            const result = await chrome.storage.local.get([this.CACHE_KEY]);
-            return result[this.CACHE_KEY] || null;
-        } catch (error) {
-            console.error('Failed to get cached stories:', error);
-            return null;
-        }
-    }
-
-    // Save stories to Chrome storage with timestamp
-    async saveStoriesToCache(stories) {
-        try {
-            const cacheData = {
-                stories: stories,
-                timestamp: Date.now(),
-                version: this.CACHE_VERSION
-            };
-            await chrome.storage.local.set({ [this.CACHE_KEY]: cacheData });
-            
-            // Update the display timestamp
-            this.updateDisplayTimestamp(cacheData.timestamp);
-        } catch (error) {
-            console.error('Failed to save stories to cache:', error);
-        }
-    }
-
-    // Update the display timestamp
-    updateDisplayTimestamp(timestamp) {
-        const updateTimeElement = document.querySelector('.update-time');
-        if (updateTimeElement) {
-            const now = Date.now();
-            const minutesAgo = Math.floor((now - timestamp) / (60 * 1000));
-            
-            if (minutesAgo < 1) {
-                updateTimeElement.textContent = 'Updated just now';
-            } else if (minutesAgo === 1) {
-                updateTimeElement.textContent = 'Updated 1 min ago';
-            } else {
-                updateTimeElement.textContent = `Updated ${minutesAgo} mins ago`;
-            }
-        }
-    }
-
-    // Check if cache exists and is valid
-    async hasValidCache() {
-        const cached = await this.getCachedStories();
-        return cached && this.isCacheFresh(cached.timestamp);
-    }
-
-    // Get cache age in minutes
-    getCacheAge(timestamp) {
-        if (!timestamp) return null;
-        const now = Date.now();
-        return Math.floor((now - timestamp) / (60 * 1000));
-    }
-
-    // Clear old cache data
-    async clearCache() {
-        try {
-            await chrome.storage.local.remove([this.CACHE_KEY]);
-        } catch (error) {
-            console.error('Failed to clear cache:', error);
-        }
-    }
-
-    // Get cache info for debugging
-    async getCacheInfo() {
-        const cached = await this.getCachedStories();
-        if (!cached) {
-            return { exists: false };
-        }
-        
-        return {
-            exists: true,
-            isFresh: this.isCacheFresh(cached.timestamp),
-            age: this.getCacheAge(cached.timestamp),
-            storyCount: cached.stories ? cached.stories.length : 0,
-            version: cached.version,
-            timestamp: cached.timestamp
-        };
-    }
-
-    // Force refresh cache (bypass cache check)
-    async forceRefresh() {
-        try {
-            await this.clearCache();
-            
-            // Trigger background refresh
-            chrome.runtime.sendMessage({ type: 'FORCE_REFRESH' });
-            
-            return true;
-        } catch (error) {
-            console.error('Failed to force refresh cache:', error);
-            return false;
-        }
-    }
-
-    // Check if cache is too old (more than 2 hours)
-    isCacheTooOld(timestamp) {
-        if (!timestamp) return true;
-        const now = Date.now();
-        const twoHours = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
-        return (now - timestamp) > twoHours;
-    }
-
-    // Auto-cleanup old cache
-    async autoCleanup() {
-        try {
-            const cached = await this.getCachedStories();
-            if (cached && this.isCacheTooOld(cached.timestamp)) {
-                await this.clearCache();
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.error('Failed to auto-cleanup cache:', error);
-            return false;
-        }
-    }
-
-    // Get cache statistics
-    async getCacheStats() {
-        const info = await this.getCacheInfo();
-        if (!info.exists) {
-            return { status: 'No cache' };
-        }
-        
-        return {
-            status: info.isFresh ? 'Fresh' : 'Stale',
-            age: `${info.age} minutes`,
-            storyCount: info.stories,
-            lastUpdated: new Date(info.timestamp).toLocaleString(),
-            version: info.version
-        };
-    }
-}
-
-// Create a global instance
-const hnCache = new HackerNewsCache();
+import {
+    HN_FEEDS,
+    DEFAULT_FEED,
+    DEFAULT_MUTE_FILTERS,
+    MIN_REFRESH_INTERVAL,
+    hnCache,
+    loadMuteFilters,
+    isStoryMuted,
+    partitionMutedStories
+} from './cache.js';
+
+// Story categories - keys double as CSS classes on .story-category
+const STORY_CATEGORIES = {
+    'ask-hn': 'ASK HN',
+    'show-hn': 'SHOW HN',
+    'job': 'JOBS',
+    'ai': 'AI',
+    'security': 'SECURITY',
+    'science': 'SCIENCE',
+    'dev': 'DEV',
+    'tech': 'TECH',
+    'hacker-news': 'HACKER NEWS'
+};
+
+// Domain rules are checked before keywords (subdomains match too)
+const CATEGORY_DOMAIN_RULES = {
+    'github.com': 'dev',
+    'gitlab.com': 'dev',
+    'stackoverflow.com': 'dev',
+    'dev.to': 'dev',
+    'openai.com': 'ai',
+    'huggingface.co': 'ai',
+    'deepmind.google': 'ai',
+    'krebsonsecurity.com': 'security',
+    'bleepingcomputer.com': 'security',
+    'arxiv.org': 'science',
+    'nature.com': 'science',
+    'science.org': 'science',
+    'quantamagazine.org': 'science',
+    'techcrunch.com': 'tech',
+    'theverge.com': 'tech',
+    'arstechnica.com': 'tech'
+};
+
+// Default keyword rules, editable in settings (stored as categoryKeywords in sync storage)
+const DEFAULT_CATEGORY_KEYWORDS = {
+    ai: ['ai', 'artificial intelligence', 'machine learning', 'neural', 'llm', 'gpt', 'openai', 'deep learning'],
+    security: ['security', 'hack', 'hacked', 'vulnerability', 'breach', 'exploit', 'malware', 'ransomware', 'cve'],
+    science: ['science', 'research', 'study', 'university', 'space', 'physics', 'biology', 'chemistry', 'nasa'],
+    dev: ['programming', 'coding', 'developer', 'software', 'javascript', 'python', 'rust', 'react', 'node', 'compiler'],
+    tech: ['tech', 'technology', 'startup', 'funding', 'apple', 'google', 'microsoft', 'chip']
+};
+
+// Comment threads: levels fetched up front (deeper ones load on demand) and visits remembered
+const COMMENT_PRELOAD_DEPTH = 2;
+const MAX_COMMENT_VISITS = 200;
+
+// Stories opened from the feed ({ [id]: { visitedAt, title, url } } in local storage)
+const MAX_VISITED_STORIES = 2000;
+// Longest a same-tab story click waits for its visit to be stored before navigating
+const VISIT_SAVE_TIMEOUT = 500;
+
+// Search engines: %s in the URL template is replaced by the query, and "!bang query"
+// (or "query !bang") searches with the engine whose bang matches
+const DEFAULT_SEARCH_ENGINES = [
+    { name: 'Google', bang: 'g', url: 'https://www.google.com/search?q=%s' },
+    { name: 'DuckDuckGo', bang: 'ddg', url: 'https://duckduckgo.com/?q=%s' },
+    { name: 'Bing', bang: 'b', url: 'https://www.bing.com/search?q=%s' },
+    { name: 'GitHub', bang: 'gh', url: 'https://github.com/search?q=%s' },
+    { name: 'Stack Overflow', bang: 'so', url: 'https://stackoverflow.com/search?q=%s' },
+    { name: 'YouTube', bang: 'yt', url: 'https://www.youtube.com/results?search_query=%s' },
+    { name: 'Reddit', bang: 'r', url: 'https://www.reddit.com/search/?q=%s' },
+    { name: 'HN Search', bang: 'hn', url: 'https://hn.algolia.com/?q=%s' }
+];
+const DEFAULT_SEARCH_ENGINE = 'g';
+
+// Local search: "hn:" prefix (or the toggle) searches cached, saved and read stories
+const LOCAL_SEARCH_PREFIX = 'hn:';
+const LOCAL_INDEX_TTL = 60 * 1000;
+const MAX_LOCAL_RESULTS = 8;
+// Search suggestions: recent queries are kept locally; each source gets a few slots
+const MAX_SEARCH_HISTORY = 50;
+const MAX_SUGGESTIONS = 8;
+const SUGGESTION_SOURCE_LIMITS = { history: 4, shortcut: 2, saved: 2, story: 3 };
+const SUGGESTION_SOURCE_LABELS = {
+    history: 'History',
+    shortcut: 'Shortcut',
+    saved: 'Saved',
+    story: 'Story'
+};
+const LOCAL_SOURCE_LABELS = {
+    saved: 'Saved',
+    'read-later': 'Read later',
+    read: 'Read',
+    feed: 'Feed'
+};
+
+// Infinite scroll: stories are fetched and rendered in pages, and pages far outside
+// the right panel's viewport are swapped for fixed-height spacers to keep the DOM small
+const STORY_PAGE_SIZE = 20;
+const STORY_PAGE_MARGIN = '1500px 0px';
+const LOAD_MORE_MARGIN = '600px 0px';
+
+// Shortcut icons: favicons (or letter avatars) cached as data URLs in chrome.storage.local
+const FAVICON_SIZE = 64;
+const FAVICON_RETRY_AGE = 7 * 24 * 60 * 60 * 1000;
+const FAVICON_FETCH_TIMEOUT = 5000;
+
+// Settings export: every synced setting in a versioned JSON file
+const SETTINGS_EXPORT_FORMAT = 'vu-tech-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+const SETTINGS_EXPORT_KEYS = [
+    'newTabEnabled',
+    'customShortcuts',
+    'selectedFeed',
+    'categoryKeywords',
+    'muteFilters',
+    'refreshIntervalMinutes',
+    'pauseRefreshOnBattery',
+    'hideReadStories',
+    'searchEngines',
+    'defaultSearchEngine',
+    'voiceSearchLanguage'
+];
+const SETTINGS_EXPORT_LABELS = {
+    newTabEnabled: 'new tab page',
+    selectedFeed: 'feed',
+    refreshIntervalMinutes: 'refresh interval',
+    pauseRefreshOnBattery: 'pause on battery',
+    hideReadStories: 'hide read stories',
+    defaultSearchEngine: 'default search engine',
+    voiceSearchLanguage: 'voice language'
+};
+const MAX_SHORTCUT_NAME_LENGTH = 20;
+
+// How long removed shortcuts and articles can be restored from the undo toast
+const UNDO_TIMEOUT = 6000;
+
+// Reading analytics: per-day counters (dailyActivity in chrome.storage.local) feed the
+// dashboard cards and their trend charts
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_ACTIVITY_DAYS = 60;
+const METRICS_TREND_DAYS = 14;
+const METRICS_REFRESH_INTERVAL = 60 * 1000;
+const METRICS_ARTICLES_TTL = 5 * 60 * 1000;
+const READING_METRICS = [
+    { id: 'opened', title: 'Stories opened today', icon: '📖', color: 'users' },
+    { id: 'saved', title: 'Articles saved', icon: '🔖', color: 'activity' },
+    { id: 'backlog', title: 'Read-later backlog', icon: '📚', color: 'views' },
+    { id: 'timeToRead', title: 'Avg. time to read', icon: '⏱️', color: 'interactions' }
+];
+
+// Activity stream: the user's own actions, newest first (activityLog in chrome.storage.local)
+const MAX_ACTIVITY_EVENTS = 200;
+const MAX_VISIBLE_ACTIVITY = 30;
+const ACTIVITY_TYPES = {
+    'story-opened': { label: 'Stories opened', icon: '📖', className: 'story-read' },
+    'article-saved': { label: 'Articles saved', icon: '🔖', className: 'bookmark' },
+    'read-later-completed': { label: 'Read-later finished', icon: '✅', className: 'share' },
+    'shortcut-added': { label: 'Shortcuts added', icon: '⭐', className: 'comment' },
+    'search': { label: 'Searches', icon: '🔍', className: 'search' }
+};
+
+// Saved/read-later articles are fetched in one page of up to this many
+const ARTICLES_FETCH_LIMIT = 500;
+
+// Articles modal search: runs on the backend as the user types; "#tag" words filter by tag
+const ARTICLE_SEARCH_DEBOUNCE = 300;
+const ARTICLE_SEARCH_LIMIT = 50;
+const ARTICLE_SEARCH_RANGES = { any: 0, week: 7, month: 30, year: 365 };
+const ARTICLE_SNIPPET_LABELS = { notes: 'Notes', tags: 'Tags', url: 'URL' };
+
+// Article tags are stored lowercase with dashes for spaces (the backend normalizes the same way)
+const MAX_ARTICLE_TAGS = 20;
+const MAX_ARTICLE_TAG_LENGTH = 30;
+
+// Article notes: markdown, autosaved after a pause in typing. The length limit comes with
+// each article list from the backend; this is its default until the first list loads
+const DEFAULT_NOTES_MAX_LENGTH = 5000;
+const NOTES_AUTOSAVE_DELAY = 800;
+const NOTES_TOOLTIP_LENGTH = 200;
+
+// Read-later retention, replaced by the policy the backend sends with the read-later list
+const DEFAULT_READ_LATER_RETENTION = { readLaterDays: 15, readDays: 3, expiryWarningDays: 3 };
 
 // New Tab VU tech Reader
 class NewTabHackerNewsReader {
     constructor() {
         this.stories = [];
-        this.remainingStories = [];
+        this.storyPages = []; // rendered pages: { element, stories, virtualized }
+        this.storyPageObserver = null;
+        this.loadMoreObserver = null;
+        this.nextPageOffset = 0;
+        this.hasMoreStories = false;
+        this.isLoadingPage = false;
+        this.storyListVersion = 0; // bumped whenever the list is replaced, so late pages are dropped
+        this.sortBy = null; // null keeps feed order
+        this.visitedStories = {};
+        this.visitedStoriesWrite = Promise.resolve(); // writes from this tab go one at a time
+        this.hideReadStories = false;
+        this.searchEngines = [...DEFAULT_SEARCH_ENGINES];
+        this.defaultSearchEngine = DEFAULT_SEARCH_ENGINE;
+        this.localSearchMode = false;
+        this.localIndex = null; // { docs, builtAt }
+        this.localSearchTimer = null;
+        this.localSearchResults = [];
+        this.searchSuggestions = []; // suggestions currently shown: { text, source, url }
+        this.recognition = null; // active speech recognition, if listening
+        this.voiceSearchLanguage = navigator.language || 'en-US';
+        this.activeSuggestionIndex = -1;
+        this.customShortcuts = []; // top-level shortcuts and folders, in grid order
+        this.draggedShortcutId = null;
+        this.folderOutsideClickHandler = null;
+        this.shortcutIcons = {}; // hostname -> { dataUrl, source: 'favicon' | 'letter', fetchedAt }
+        this.placeholderFavicon = null;
+        this.pendingImport = null; // validated file contents waiting for the user to confirm
+        this.pendingArticleDeletes = new Map(); // articleId -> { token, element, index, type, timer, removeTimer }
+        this.metricsArticles = null; // { articles, fetchedAt }
+        this.metricsUpdateTimer = null;
+        this.activityFilter = 'all';
+        this.articlesSearchTimer = null;
+        this.articlesRequestId = 0; // only the latest articles request gets rendered
+        this.articleTags = []; // [{ tag, count }] across the user's articles
+        this.articleTagFilter = new Set(); // articles must have every selected tag
+        this.pendingNotesSaves = new Map(); // articleId -> { articleEl, timer }
+        this.storyNotes = {}; // storyId -> { notes, type } for the notes badge on story cards
+        this.readLaterRetention = { ...DEFAULT_READ_LATER_RETENTION };
+        this.notesMaxLength = DEFAULT_NOTES_MAX_LENGTH;
+        this.currentFeed = DEFAULT_FEED;
+        this.commentCache = new Map();
+        this.activeThread = null;
+        this.commentThreadVersion = 0; // bumped whenever a thread is opened or closed, so late comments are dropped
+        this.activeCategory = 'all';
+        this.muteFilters = { ...DEFAULT_MUTE_FILTERS };
+        this.showMutedStories = false;
+        this.viewSnapshots = {}; // counts as of the previous visit, for "+N since you last looked"
+        this.categoryKeywords = { ...DEFAULT_CATEGORY_KEYWORDS };
         
         // Dynamic greeting messages
         this.greetingMessages = [
@@ -196,11 +272,13 @@ class NewTabHackerNewsReader {
     // Initialize the new tab page
     init() {
         this.setupEventListeners();
-        this.loadStories();
+        Promise.all([this.loadSelectedFeed(), this.loadViewSnapshots(), this.loadReadState()]).then(() => this.loadStories());
+        this.loadStoryNotes();
         this.loadSettings();
         this.loadCustomShortcuts();
         this.initChromeFunctionality();
         this.startLiveUpdates();
+        this.reportPowerState();
         this.updateGreeting(); // Initialize greeting on page load
     }
 
@@ -248,6 +326,14 @@ class NewTabHackerNewsReader {
             });
         }
 
+        // Keep the default engine choices in step with the engine list being edited
+        const searchEnginesInput = document.getElementById('searchEnginesInput');
+        if (searchEnginesInput) {
+            searchEnginesInput.addEventListener('input', () => {
+                this.updateDefaultEngineOptions();
+            });
+        }
+
         // Save settings
         const saveSettings = document.getElementById('saveSettings');
         if (saveSettings) {
@@ -256,6 +342,9 @@ class NewTabHackerNewsReader {
             });
         }
 
+        // Export/import settings and bookmarks
+        this.setupSettingsTransfer();
+
         // Close modal when clicking outside
         const modal = document.getElementById('settingsModal');
         if (modal) {
@@ -292,6 +381,8 @@ class NewTabHackerNewsReader {
                 this.closeSettings();
                 this.closeAddShortcutModal();
                 this.closeCustomUrlModal();
+                this.closeCommentThread();
+                this.closeShortcutFolder();
             }
         });
 
@@ -301,6 +392,7 @@ class NewTabHackerNewsReader {
             addShortcutBtn.addEventListener('click', () => {
                 this.openAddShortcutModal();
             });
+            this.setupShortcutEndDropTarget(addShortcutBtn);
         }
 
         // Add shortcut modal close buttons
@@ -352,6 +444,14 @@ class NewTabHackerNewsReader {
             });
         }
 
+        // Reveal/hide muted stories
+        const toggleMutedBtn = document.getElementById('toggleMutedBtn');
+        if (toggleMutedBtn) {
+            toggleMutedBtn.addEventListener('click', () => {
+                this.toggleMutedStories();
+            });
+        }
+
         // Load more stories button
         const loadMoreBtn = document.getElementById('loadMoreBtn');
         if (loadMoreBtn) {
@@ -389,76 +489,36 @@ class NewTabHackerNewsReader {
         this.setupEnhancedRightPanel();
     }
 
-    // Load stories from Hacker News API with cache-first approach
+    // Load stories through the background worker, which answers from the shared cache when fresh
     async loadStories() {
+        // Only show the loading state if the answer isn't (almost) instant, i.e. not from cache
+        const loadingTimer = setTimeout(() => this.showLoading(), 300);
+        
         try {
             console.log('Starting to load stories...');
+            this.hideError();
             
-            // Step 1: Check cache first
-            const cached = await hnCache.getCachedStories();
-            
-            if (cached && hnCache.isCacheFresh(cached.timestamp)) {
-                console.log('Using fresh cached stories');
-                // Cache is fresh - show immediately
-                this.stories = cached.stories.slice(0, 20);
-                this.displayStories();
-                hnCache.updateDisplayTimestamp(cached.timestamp);
-                return;
-            }
-            
-            console.log('Cache is stale or empty, fetching fresh data...');
+            const result = await this.fetchStoriesWithRetry();
             
-            // Step 2: Cache is stale/empty - show loading and fetch
-            this.showLoading();
-            this.hideError();
-
-            // Step 3: Try to fetch from API with multiple fallback methods
-            let stories = null;
+            console.log(`Successfully loaded ${result.stories.length} ${this.currentFeed} stories${result.fromCache ? ' (cached)' : ''}`);
+            this.setFirstPage(result.stories);
+            this.displayStories();
             
-            try {
-                // Method 1: Try background script
-                stories = await this.fetchStoriesWithRetry();
-            } catch (error) {
-                console.log('Background script method failed, trying direct fetch...');
-                try {
-                    // Method 2: Try direct fetch with CORS proxy
-                    stories = await this.fetchStoriesWithProxy();
-                } catch (proxyError) {
-                    console.log('CORS proxy method failed, trying alternative proxy...');
-                    try {
-                        // Method 3: Try alternative CORS proxy
-                        stories = await this.fetchStoriesWithAlternativeProxy();
-                    } catch (altError) {
-                        throw new Error(`All fetch methods failed. Last error: ${altError.message}`);
-                    }
-                }
+            if (result.timestamp) {
+                hnCache.updateDisplayTimestamp(result.timestamp);
             }
-            
-            if (stories && stories.length > 0) {
-                console.log(`Successfully loaded ${stories.length} stories`);
-                this.stories = stories.slice(0, 20);
-                await hnCache.saveStoriesToCache(this.stories);
-                this.displayStories();
-            } else {
-                throw new Error('No stories received from any method - empty response');
+            if (result.stale) {
+                this.showStaleDataWarning();
             }
             
         } catch (error) {
             console.error('Failed to load stories:', error);
             
-            // Step 4: If all methods fail, try to show stale cache
-            console.log('All fetch methods failed, checking for stale cache...');
-            const cached = await hnCache.getCachedStories();
-            if (cached && cached.stories && cached.stories.length > 0) {
-                console.log('Showing stale cached stories');
-                this.stories = cached.stories.slice(0, 20);
-                this.displayStories();
-                hnCache.updateDisplayTimestamp(cached.timestamp);
-                this.showStaleDataWarning();
-            } else {
-                console.log('No cache available, showing sample stories');
-                this.showSampleStories();
-            }
+            // The background worker already falls back to stale cache, so nothing is cached
+            console.log('No stories available, showing sample stories');
+            this.showSampleStories();
+        } finally {
+            clearTimeout(loadingTimer);
         }
     }
 
@@ -493,6 +553,8 @@ class NewTabHackerNewsReader {
                 type: "story"
             }
         ];
+        this.hasMoreStories = false;
+        this.storyListVersion++;
         this.displayStories();
         this.showOfflineMessage();
     }
@@ -538,6 +600,40 @@ class NewTabHackerNewsReader {
         }, 5000);
     }
 
+    // Load the last feed the user picked (shared with the popup)
+    async loadSelectedFeed() {
+        try {
+            const result = await chrome.storage.sync.get(['selectedFeed']);
+            this.currentFeed = HN_FEEDS[result.selectedFeed] ? result.selectedFeed : DEFAULT_FEED;
+        } catch (error) {
+            console.error('Failed to load selected feed:', error);
+        }
+        this.updateFeedSwitcher();
+    }
+
+    // Switch to another feed and reload stories (cache-first, so usually instant)
+    async switchFeed(feed) {
+        if (!HN_FEEDS[feed] || feed === this.currentFeed) return;
+        
+        this.currentFeed = feed;
+        this.updateFeedSwitcher();
+        
+        try {
+            await chrome.storage.sync.set({ selectedFeed: feed });
+        } catch (error) {
+            console.error('Failed to save selected feed:', error);
+        }
+        
+        await this.loadStories();
+    }
+
+    // Highlight the active feed tab
+    updateFeedSwitcher() {
+        document.querySelectorAll('.feed-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-feed') === this.currentFeed);
+        });
+    }
+
     // Fetch stories with retry mechanism and timeout
     async fetchStoriesWithRetry(maxRetries = 2) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -545,10 +641,10 @@ class NewTabHackerNewsReader {
                 console.log(`Fetch attempt ${attempt}/${maxRetries} for Hacker News stories...`);
                 
                 // Use background script to handle API calls
-                const stories = await this.fetchStoriesViaBackground();
-                if (stories && stories.length > 0) {
-                    console.log(`✅ Successfully fetched ${stories.length} story details`);
-                    return stories;
+                const result = await this.fetchStoriesViaBackground();
+                if (result.stories.length > 0) {
+                    console.log(`✅ Successfully fetched ${result.stories.length} story details`);
+                    return result;
                 }
                 
                 throw new Error('No stories received from background script');
@@ -571,7 +667,8 @@ class NewTabHackerNewsReader {
         throw new Error('All retry attempts exhausted');
     }
 
-    // Fetch stories via background script to avoid CORS issues
+    // Fetch stories via background script (the only place that talks to the HN API)
+    // Resolves with the response, with muted stories merged back in for display-time filtering
     async fetchStoriesViaBackground() {
         return new Promise((resolve, reject) => {
             // Set timeout for the message (increased to 30 seconds)
@@ -580,7 +677,7 @@ class NewTabHackerNewsReader {
             }, 30000);
 
             // Send message to background script
-            chrome.runtime.sendMessage({ type: 'FETCH_STORIES' }, (response) => {
+            chrome.runtime.sendMessage({ type: 'FETCH_STORIES', feed: this.currentFeed }, (response) => {
                 clearTimeout(timeout);
                 
                 if (chrome.runtime.lastError) {
@@ -590,7 +687,10 @@ class NewTabHackerNewsReader {
                 
                 if (response && response.success) {
                     console.log(`Received ${response.stories?.length || 0} stories from background script`);
-                    resolve(response.stories);
+                    resolve({
+                        ...response,
+                        stories: [...(response.stories || []), ...(response.mutedStories || [])]
+                    });
                 } else {
                     reject(new Error(response?.error || 'Unknown error from background script'));
                 }
@@ -598,346 +698,265 @@ class NewTabHackerNewsReader {
         });
     }
 
-    // Fallback method using CORS proxy
-    async fetchStoriesWithProxy() {
-        try {
-            console.log('Trying CORS proxy method...');
-            
-            // Use a more reliable CORS proxy
-            const proxyUrl = 'https://api.allorigins.win/get?url=' + encodeURIComponent('https://hacker-news.firebaseio.com/v0/topstories.json');
-            
-                const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
-                
-            const response = await fetch(proxyUrl, {
-                    signal: controller.signal,
-                    method: 'GET',
-                    headers: {
-                    'Accept': 'application/json'
-                    }
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-            }
-            
-            const responseText = await response.text();
-            let storyIds;
-            
-            try {
-                const data = JSON.parse(responseText);
-                // Handle CORS proxy response format
-                storyIds = data.contents ? JSON.parse(data.contents) : data;
-            } catch (parseError) {
-                storyIds = JSON.parse(responseText);
-            }
-                
-                if (!Array.isArray(storyIds)) {
-                throw new Error('Invalid response format - expected array of story IDs');
-                }
-            
-            console.log(`Successfully fetched ${storyIds.length} story IDs via proxy`);
-                
-                // Get details for the first 20 stories
-                const topStoryIds = storyIds.slice(0, 20);
-                const stories = [];
-                
-                for (let i = 0; i < topStoryIds.length; i++) {
-                    const storyId = topStoryIds[i];
-                    try {
-                    const story = await this.fetchStoryDetailsWithProxy(storyId);
-                    if (story && story.title) {
-                            stories.push(story);
-                        }
-                    // Small delay between requests to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    } catch (error) {
-                    console.warn(`Failed to fetch story ${storyId}:`, error.message);
-                        // Continue with other stories
-                    }
-                }
-                
-            console.log(`Successfully fetched ${stories.length} story details via proxy`);
-                return stories;
-                
-            } catch (error) {
-            console.error('CORS proxy method failed:', error);
-            throw error;
-        }
-    }
-
-    // Alternative CORS proxy method
-    async fetchStoriesWithAlternativeProxy() {
-        try {
-            console.log('Trying alternative CORS proxy method...');
-            
-            // Use a different CORS proxy
-            const proxyUrl = 'https://thingproxy.freeboard.io/fetch/https://hacker-news.firebaseio.com/v0/topstories.json';
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000);
-            
-            const response = await fetch(proxyUrl, {
-                signal: controller.signal,
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-            }
-            
-            const storyIds = await response.json();
-            
-            if (!Array.isArray(storyIds)) {
-                throw new Error('Invalid response format - expected array of story IDs');
-            }
-            
-            console.log(`Successfully fetched ${storyIds.length} story IDs via alternative proxy`);
-            
-            // Get details for the first 20 stories
-            const topStoryIds = storyIds.slice(0, 20);
-            const stories = [];
-            
-            for (let i = 0; i < topStoryIds.length; i++) {
-                const storyId = topStoryIds[i];
-                try {
-                    const story = await this.fetchStoryDetailsWithProxy(storyId);
-                    if (story && story.title) {
-                        stories.push(story);
-                    }
-                    // Small delay between requests to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                } catch (error) {
-                    console.warn(`Failed to fetch story ${storyId}:`, error.message);
-                    // Continue with other stories
-                }
-            }
-            
-            console.log(`Successfully fetched ${stories.length} story details via alternative proxy`);
-            return stories;
-            
-        } catch (error) {
-            console.error('Alternative CORS proxy method failed:', error);
-                    throw error;
-        }
+    // Replace the story list with the first page of a feed
+    setFirstPage(stories) {
+        this.stories = stories.slice(0, STORY_PAGE_SIZE);
+        this.nextPageOffset = STORY_PAGE_SIZE;
+        this.hasMoreStories = true;
+        this.storyListVersion++;
     }
 
-    // Fetch story details with CORS proxy
-    async fetchStoryDetailsWithProxy(storyId) {
-        try {
-            const proxyUrl = 'https://api.allorigins.win/get?url=' + encodeURIComponent(`https://hacker-news.firebaseio.com/v0/item/${storyId}.json`);
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000);
-            
-            const response = await fetch(proxyUrl, {
-                signal: controller.signal,
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-            }
-            
-            const responseText = await response.text();
-            let story;
-            
-            try {
-                const data = JSON.parse(responseText);
-                // Handle CORS proxy response format
-                story = data.contents ? JSON.parse(data.contents) : data;
-            } catch (parseError) {
-                story = JSON.parse(responseText);
-            }
-            
-            if (!story || !story.title) {
-                throw new Error('Invalid story data received');
-            }
-            
-            return story;
-            
-        } catch (error) {
-            console.error(`Failed to fetch story ${storyId} via proxy:`, error);
-            throw error;
+    // Apply the category tab, mute filters and sort order to a list of stories
+    prepareStoriesForDisplay(stories) {
+        // Filter out any null stories (failed fetches) and stories outside the active category
+        const categoryStories = stories
+            .filter(story => story !== null)
+            .filter(story => this.matchesCategory(story, this.activeCategory));
+        
+        // Muted stories are hidden unless revealed, in which case they go to the end
+        const { visible, muted } = partitionMutedStories(categoryStories, this.muteFilters);
+        let displayed = this.showMutedStories ? [...visible, ...muted] : visible;
+        
+        if (this.hideReadStories) {
+            displayed = displayed.filter(story => !this.isStoryVisited(story));
         }
-    }
-
-    // Fetch individual story details
-    async fetchStoryDetails(storyId) {
-        try {
-            let response;
-            let usedProxy = false;
-            
-            try {
-                // Try direct fetch first
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 5000);
-                
-                response = await fetch(`https://hacker-news.firebaseio.com/v0/item/${storyId}.json`, {
-                    signal: controller.signal,
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
-                
-                clearTimeout(timeoutId);
-            } catch (directError) {
-                usedProxy = true;
-                
-                // Try CORS proxy
-                const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(`https://hacker-news.firebaseio.com/v0/item/${storyId}.json`)}`;
-                
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 8000);
-                
-                response = await fetch(proxyUrl, {
-                    signal: controller.signal,
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
-                
-                clearTimeout(timeoutId);
-            }
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch story ${storyId}: ${response.status} ${response.statusText}`);
-            }
-            
-            const responseText = await response.text();
-            let story;
-            
-            try {
-                const data = JSON.parse(responseText);
-                
-                // Handle CORS proxy response format
-                if (usedProxy && data.contents) {
-                    story = JSON.parse(data.contents);
-                } else {
-                    story = data;
-                }
-                
-            } catch (parseError) {
-                story = JSON.parse(responseText);
-            }
-            
-            // Validate story has required fields
-            if (!story || !story.title) {
-                throw new Error(`Invalid story data for ID ${storyId}`);
-            }
-            
-            return story;
-            
-        } catch (error) {
-            console.warn(`Failed to fetch story ${storyId}:`, error.message);
-            return null;
+        
+        if (this.sortBy) {
+            displayed.sort((a, b) => this.compareStories(a, b, this.sortBy));
         }
+        
+        return { stories: displayed, mutedCount: muted.length };
     }
 
     // Display stories in the UI
     displayStories() {
         const storiesContainer = document.getElementById('stories');
         const loadingElement = document.getElementById('loading');
-        const loadMoreBtn = document.getElementById('loadMoreBtn');
         
         // Hide loading
         if (loadingElement) {
             loadingElement.style.display = 'none';
         }
-        if (storiesContainer) {
-            storiesContainer.style.display = 'flex';
-        }
+        if (!storiesContainer) return;
+        storiesContainer.style.display = 'flex';
         
         // Clear previous stories
-        if (storiesContainer) {
-            storiesContainer.innerHTML = '';
+        if (this.storyPageObserver) {
+            this.storyPageObserver.disconnect();
         }
+        this.storyPages = [];
+        storiesContainer.innerHTML = '';
         
-        // Filter out any null stories (failed fetches)
-        const validStories = this.stories.filter(story => story !== null);
+        const { stories: validStories, mutedCount } = this.prepareStoriesForDisplay(this.stories);
+        this.updateMutedIndicator(mutedCount);
         
         if (validStories.length === 0) {
-            if (storiesContainer) storiesContainer.innerHTML = '<div class="error">No stories found</div>';
-            return;
-        }
-
-        // Show initial stories (first 8)
-        const initialStories = validStories.slice(0, 8);
-        initialStories.forEach((story, index) => {
-            const storyElement = this.createStoryElement(story);
-            storiesContainer.appendChild(storyElement);
-        });
-
-        // Show load more button if there are more stories
-        if (validStories.length > 8) {
-            loadMoreBtn.style.display = 'block';
-            this.remainingStories = validStories.slice(8);
+            const emptyMessage = this.activeCategory === 'all' ? 'No stories found' : 'No stories in this category';
+            storiesContainer.innerHTML = `<div class="error stories-empty">${emptyMessage}</div>`;
         } else {
-            loadMoreBtn.style.display = 'none';
+            this.appendStoryPages(validStories);
         }
+        
+        this.updateLoadMoreState();
     }
 
-    // Load more stories
-    loadMoreStories() {
+    // Render stories as page-sized chunks at the end of the list
+    appendStoryPages(stories) {
         const storiesContainer = document.getElementById('stories');
-        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (!storiesContainer || stories.length === 0) return;
         
-        if (!this.remainingStories || this.remainingStories.length === 0) {
-            loadMoreBtn.style.display = 'none';
-            return;
+        const emptyMessage = storiesContainer.querySelector('.stories-empty');
+        if (emptyMessage) emptyMessage.remove();
+        
+        const observer = this.getStoryPageObserver();
+        for (let i = 0; i < stories.length; i += STORY_PAGE_SIZE) {
+            const page = {
+                element: document.createElement('div'),
+                stories: stories.slice(i, i + STORY_PAGE_SIZE),
+                virtualized: false
+            };
+            page.element.className = 'story-page';
+            page.element.setAttribute('data-page-index', this.storyPages.length);
+            this.renderStoryPage(page);
+            
+            storiesContainer.appendChild(page.element);
+            this.storyPages.push(page);
+            observer.observe(page.element);
         }
+        
+        hnCache.recordViewSnapshots(stories);
+    }
 
-        // Load next 4 stories
-        const nextStories = this.remainingStories.slice(0, 4);
-        nextStories.forEach((story, index) => {
-            const storyElement = this.createStoryElement(story);
-            storiesContainer.appendChild(storyElement);
+    // Fill a page element with its story cards
+    renderStoryPage(page) {
+        page.element.innerHTML = '';
+        page.stories.forEach(story => {
+            page.element.appendChild(this.createStoryElement(story));
         });
+    }
 
-        // Update remaining stories
-        this.remainingStories = this.remainingStories.slice(4);
-
-        // Hide button if no more stories
-        if (this.remainingStories.length === 0) {
-            loadMoreBtn.style.display = 'none';
+    // Observer that swaps pages far outside the viewport for spacers of the same height
+    getStoryPageObserver() {
+        if (!this.storyPageObserver) {
+            this.storyPageObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const page = this.storyPages[entry.target.getAttribute('data-page-index')];
+                    if (!page) return;
+                    
+                    if (entry.isIntersecting && page.virtualized) {
+                        page.element.style.height = '';
+                        page.element.classList.remove('virtualized');
+                        this.renderStoryPage(page);
+                        page.virtualized = false;
+                    } else if (!entry.isIntersecting && !page.virtualized && page.element.offsetHeight > 0) {
+                        page.element.style.height = `${page.element.offsetHeight}px`;
+                        page.element.classList.add('virtualized');
+                        page.element.innerHTML = '';
+                        page.virtualized = true;
+                    }
+                });
+            }, { root: document.querySelector('.news-section'), rootMargin: STORY_PAGE_MARGIN });
         }
+        return this.storyPageObserver;
     }
 
-    // Create HTML element for a single story
-    createStoryElement(story) {
-        const storyDiv = document.createElement('div');
-        storyDiv.className = 'story';
-        
-        // Set data attributes for sorting
-        storyDiv.setAttribute('data-score', story.score || 0);
-        storyDiv.setAttribute('data-time', story.time ? new Date(story.time * 1000).toISOString() : new Date().toISOString());
-        storyDiv.setAttribute('data-comments', story.descendants || 0);
+    // Fetch the next page when the load more button scrolls near the viewport
+    setupInfiniteScroll() {
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (!loadMoreBtn || this.loadMoreObserver) return;
+        
+        this.loadMoreObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreStories();
+            }
+        }, { root: document.querySelector('.news-section'), rootMargin: LOAD_MORE_MARGIN });
+        this.loadMoreObserver.observe(loadMoreBtn);
+    }
+
+    // Show the load more button only while the feed has more ids to page through
+    updateLoadMoreState() {
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        const loadingProgress = document.getElementById('loadingProgress');
+        
+        if (loadMoreBtn) {
+            loadMoreBtn.style.display = this.hasMoreStories ? 'block' : 'none';
+            loadMoreBtn.disabled = this.isLoadingPage;
+        }
+        if (loadingProgress) {
+            loadingProgress.style.display = this.isLoadingPage ? 'block' : 'none';
+        }
+    }
+
+    // Check whether the load more button is still within reach after a page was added
+    isLoadMoreNearViewport() {
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        const scrollRoot = document.querySelector('.news-section');
+        if (!loadMoreBtn || !scrollRoot || loadMoreBtn.style.display === 'none') return false;
+        
+        return loadMoreBtn.getBoundingClientRect().top - scrollRoot.getBoundingClientRect().bottom < parseInt(LOAD_MORE_MARGIN, 10);
+    }
+
+    // Load the next page of the feed from the background worker
+    async loadMoreStories() {
+        if (this.isLoadingPage || !this.hasMoreStories) return;
+        
+        const listVersion = this.storyListVersion;
+        this.isLoadingPage = true;
+        this.updateLoadMoreState();
+        
+        let loaded = false;
+        try {
+            const page = await this.fetchStoryPage(this.nextPageOffset);
+            
+            // The list was replaced (feed switch, refresh) while this page was in flight
+            if (listVersion !== this.storyListVersion) return;
+            
+            // The first page may have borrowed a few ids from this range, so skip duplicates
+            const loadedIds = new Set(this.stories.filter(story => story).map(story => story.id));
+            const newStories = page.stories.filter(story => !loadedIds.has(story.id));
+            
+            this.stories.push(...newStories);
+            this.nextPageOffset = page.nextOffset;
+            this.hasMoreStories = page.hasMore;
+            
+            if (this.sortBy) {
+                // A sorted list has to be re-sorted as a whole, not page by page
+                const scrollRoot = document.querySelector('.news-section');
+                const scrollTop = scrollRoot ? scrollRoot.scrollTop : 0;
+                this.displayStories();
+                if (scrollRoot) scrollRoot.scrollTop = scrollTop;
+            } else {
+                this.appendStoryPages(this.prepareStoriesForDisplay(newStories).stories);
+                this.updateMutedIndicator(this.prepareStoriesForDisplay(this.stories).mutedCount);
+            }
+            loaded = true;
+        } catch (error) {
+            console.error('Failed to load more stories:', error);
+            this.showNotification('Failed to load more stories', 'error');
+        } finally {
+            this.isLoadingPage = false;
+            this.updateLoadMoreState();
+        }
+        
+        // A filtered page can add few cards, leaving the button in view without a new intersection
+        if (loaded && this.hasMoreStories && this.isLoadMoreNearViewport()) {
+            this.loadMoreStories();
+        }
+    }
+
+    // Fetch a page of stories (beyond the first) through the background worker
+    fetchStoryPage(offset) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({
+                type: 'FETCH_STORY_PAGE',
+                feed: this.currentFeed,
+                offset: offset,
+                limit: STORY_PAGE_SIZE
+            }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (response && response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response?.error || 'Unknown error from background script'));
+                }
+            });
+        });
+    }
+
+    // Create HTML element for a single story
+    createStoryElement(story) {
+        const storyDiv = document.createElement('div');
+        storyDiv.className = 'story';
+        
+        // Set data attributes for sorting
+        storyDiv.setAttribute('data-id', story.id);
+        storyDiv.setAttribute('data-score', story.score || 0);
+        storyDiv.setAttribute('data-time', story.time ? new Date(story.time * 1000).toISOString() : new Date().toISOString());
+        storyDiv.setAttribute('data-comments', story.descendants || 0);
         
         // Format the time
         const timeAgo = this.formatTimeAgo(story.time);
         
-        // Determine category and trending status
+        // Determine category, trending status and activity since the last visit
         const category = this.getStoryCategory(story);
         const isTrending = this.isStoryTrending(story);
+        const deltas = hnCache.getStoryDeltas(story, this.viewSnapshots[story.id]);
+        storyDiv.setAttribute('data-category', category);
+        if (isTrending) {
+            storyDiv.classList.add('trending');
+        }
+        if (isStoryMuted(story, this.muteFilters)) {
+            storyDiv.classList.add('muted');
+        }
+        if (this.isStoryVisited(story)) {
+            storyDiv.classList.add('visited');
+        }
         
         // Create the HTML structure - always show both Save and Read Later buttons
         storyDiv.innerHTML = `
             <div class="story-header">
-                <span class="story-category ${category.toLowerCase()}">${category}</span>
+                <span class="story-category ${category}">${STORY_CATEGORIES[category]}</span>
                 ${isTrending ? '<span class="trending-badge">Trending</span>' : ''}
             </div>
             <div class="story-title">
@@ -950,13 +969,14 @@ class NewTabHackerNewsReader {
                 <span class="story-author">by ${story.by || 'unknown'}</span>
                 <span class="story-time">${timeAgo}</span>
             </div>
+            ${deltas ? `<div class="story-delta">${this.formatStoryDeltas(deltas)} since you last looked</div>` : ''}
             <div class="story-engagement">
-                <div class="engagement-item">
+                <button class="engagement-item comments-btn" data-story-id="${story.id}" title="View comments">
                     <svg class="engagement-icon" viewBox="0 0 24 24" fill="currentColor">
                         <path d="M21.99 4c0-1.1-.89-2-2-2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h14l4 4-.01-18zM18 14H6v-2h12v2zm0-3H6V9h12v2zm0-3H6V6h12v2z"/>
                     </svg>
                     <span>${story.descendants || 0}</span>
-                </div>
+                </button>
                 <div class="engagement-item">
                     <svg class="engagement-icon" viewBox="0 0 24 24" fill="currentColor">
                         <path d="M7 14l5-5 5 5z"/>
@@ -975,65 +995,177 @@ class NewTabHackerNewsReader {
             </div>
         `;
         
+        // Opening the story (click or middle-click) or its comments marks it as read
+        const storyLink = storyDiv.querySelector('.story-title a');
+        storyLink.addEventListener('click', (e) => {
+            if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                this.markStoryVisited(story);
+                return;
+            }
+            // Links open in this tab, so hold the navigation until the visit is stored
+            e.preventDefault();
+            const timeout = new Promise(resolve => setTimeout(resolve, VISIT_SAVE_TIMEOUT));
+            Promise.race([this.markStoryVisited(story), timeout]).finally(() => {
+                window.location.href = storyLink.href;
+            });
+        });
+        storyLink.addEventListener('auxclick', (e) => {
+            if (e.button === 1) this.markStoryVisited(story);
+        });
+        storyDiv.querySelector('.comments-btn').addEventListener('click', () => this.markStoryVisited(story));
+        this.updateStoryNotesIndicator(storyDiv);
+        
         return storyDiv;
     }
 
-    // Get story category based on URL, title, or content
+    // Get story category key (see STORY_CATEGORIES) from item type, title, domain and keyword rules
     getStoryCategory(story) {
-        // Simple categorization - just return HACKER NEWS for all stories
-        return 'HACKER NEWS';
-        
-        /* Advanced categorization (commented out for now)
         const title = (story.title || '').toLowerCase();
-        const url = (story.url || '').toLowerCase();
-        
-        // Check for Ask HN posts
-        if (title.startsWith('ask hn:') || !story.url) return 'ASK HN';
         
-        // Check for Show HN posts
-        if (title.startsWith('show hn:')) return 'SHOW HN';
+        // Item type and HN title conventions come first
+        if (story.type === 'job') return 'job';
+        if (title.startsWith('ask hn')) return 'ask-hn';
+        if (title.startsWith('show hn')) return 'show-hn';
+        if (!story.url && story.type === 'story') return 'ask-hn';
         
-        // AI/ML related
-        if (title.includes('ai') || title.includes('artificial intelligence') || 
-            title.includes('machine learning') || title.includes('neural') ||
-            title.includes('llm') || title.includes('gpt') || title.includes('openai')) {
-            return 'AI';
+        // Domain rules
+        const domain = this.getStoryDomain(story);
+        if (domain) {
+            const ruleDomain = Object.keys(CATEGORY_DOMAIN_RULES)
+                .find(rule => domain === rule || domain.endsWith(`.${rule}`));
+            if (ruleDomain) return CATEGORY_DOMAIN_RULES[ruleDomain];
         }
         
-        // Programming/Development
-        if (title.includes('programming') || title.includes('coding') || 
-            title.includes('developer') || title.includes('software') ||
-            title.includes('javascript') || title.includes('python') || 
-            title.includes('react') || title.includes('node') ||
-            url.includes('github.com') || url.includes('stackoverflow.com')) {
-            return 'DEV';
+        // Keyword rules, matched on whole words so "ai" doesn't match "said"
+        for (const [category, keywords] of Object.entries(this.categoryKeywords)) {
+            if (keywords.some(keyword => this.titleHasKeyword(title, keyword))) {
+                return category;
+            }
         }
         
-        // Technology
-        if (title.includes('tech') || title.includes('technology') || 
-            title.includes('startup') || title.includes('business') ||
-            title.includes('company') || title.includes('funding')) {
-            return 'TECH';
-        }
+        return 'hacker-news';
+    }
+
+    // Check whether a title contains a keyword as a whole word or phrase
+    titleHasKeyword(title, keyword) {
+        const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(title);
+    }
+
+    // Get the hostname of a story's URL without "www."
+    getStoryDomain(story) {
+        if (!story.url) return '';
         
-        // Security
-        if (title.includes('security') || title.includes('hack') || 
-            title.includes('vulnerability') || title.includes('breach') ||
-            title.includes('crypto') || title.includes('bitcoin') || 
-            title.includes('blockchain')) {
-            return 'SECURITY';
+        try {
+            return new URL(story.url).hostname.replace(/^www\./, '').toLowerCase();
+        } catch (error) {
+            return '';
         }
-        
-        // Science
-        if (title.includes('science') || title.includes('research') || 
-            title.includes('study') || title.includes('university') ||
-            title.includes('space') || title.includes('physics') ||
-            title.includes('biology') || title.includes('chemistry')) {
-            return 'SCIENCE';
+    }
+
+    // Check whether a story belongs in the given category tab
+    matchesCategory(story, category) {
+        if (!category || category === 'all') return true;
+        if (category === 'trending') return this.isStoryTrending(story);
+        return this.getStoryCategory(story) === category;
+    }
+
+    // Load user-edited category keywords from sync storage
+    async loadCategoryRules() {
+        try {
+            const result = await chrome.storage.sync.get(['categoryKeywords']);
+            this.categoryKeywords = { ...DEFAULT_CATEGORY_KEYWORDS, ...(result.categoryKeywords || {}) };
+        } catch (error) {
+            // Rules loading failed, keep defaults
         }
-        
-        return 'HACKER NEWS';
-        */
+        this.renderCategoryRuleInputs();
+    }
+
+    // Fill the settings textareas with the current keyword rules
+    renderCategoryRuleInputs() {
+        document.querySelectorAll('.category-keywords-input').forEach(input => {
+            const category = input.getAttribute('data-category');
+            input.value = (this.categoryKeywords[category] || []).join(', ');
+        });
+    }
+
+    // Read keyword rules back from the settings textareas
+    readCategoryRuleInputs() {
+        const keywords = {};
+        document.querySelectorAll('.category-keywords-input').forEach(input => {
+            const category = input.getAttribute('data-category');
+            keywords[category] = input.value
+                .split(',')
+                .map(keyword => keyword.trim().toLowerCase())
+                .filter(Boolean);
+        });
+        return keywords;
+    }
+
+    // Show or hide the "N stories hidden" bar
+    updateMutedIndicator(mutedCount) {
+        const indicator = document.getElementById('mutedIndicator');
+        const countEl = document.getElementById('mutedCount');
+        const toggleBtn = document.getElementById('toggleMutedBtn');
+        if (!indicator) return;
+
+        if (mutedCount === 0) {
+            indicator.style.display = 'none';
+            return;
+        }
+
+        indicator.style.display = 'flex';
+        countEl.textContent = `${mutedCount} ${mutedCount === 1 ? 'story' : 'stories'} hidden by mute filters`;
+        toggleBtn.textContent = this.showMutedStories ? 'Hide' : 'Show';
+    }
+
+    // Reveal or re-hide muted stories
+    toggleMutedStories() {
+        this.showMutedStories = !this.showMutedStories;
+        this.displayStories();
+    }
+
+    // Load mute filters and fill the settings textareas
+    async loadMuteFilterSettings() {
+        this.muteFilters = await loadMuteFilters();
+
+        const inputs = {
+            muteKeywordsInput: this.muteFilters.keywords,
+            muteDomainsInput: this.muteFilters.domains,
+            muteUsersInput: this.muteFilters.users
+        };
+        Object.entries(inputs).forEach(([id, values]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = values.join('\n');
+        });
+    }
+
+    // Read mute filters back from the settings textareas (one rule per line)
+    readMuteFilterInputs() {
+        const readLines = (id) => {
+            const input = document.getElementById(id);
+            if (!input) return [];
+            return input.value.split('\n').map(line => line.trim()).filter(Boolean);
+        };
+
+        return {
+            keywords: readLines('muteKeywordsInput'),
+            domains: readLines('muteDomainsInput').map(domain => domain.toLowerCase().replace(/^www\./, '')),
+            users: readLines('muteUsersInput')
+        };
+    }
+
+    // Format deltas as "+45 points, +12 comments"
+    formatStoryDeltas(deltas) {
+        const parts = [];
+        if (deltas.points > 0) parts.push(`+${deltas.points} ${deltas.points === 1 ? 'point' : 'points'}`);
+        if (deltas.comments > 0) parts.push(`+${deltas.comments} ${deltas.comments === 1 ? 'comment' : 'comments'}`);
+        return parts.join(', ');
+    }
+
+    // Load counts from the previous visit once per page, so re-renders keep showing the same deltas
+    async loadViewSnapshots() {
+        this.viewSnapshots = await hnCache.getViewSnapshots();
     }
 
     // Check if story is trending (high score or recent)
@@ -1078,6 +1210,9 @@ class NewTabHackerNewsReader {
         const modal = document.getElementById('settingsModal');
         modal.style.display = 'flex';
         document.body.style.overflow = 'hidden';
+        
+        // Refresh history may have changed since the page loaded
+        this.loadRefreshSettings();
     }
 
     closeSettings() {
@@ -1101,6 +1236,12 @@ class NewTabHackerNewsReader {
         } catch (error) {
             // Settings loading failed, use default
         }
+        
+        await this.loadCategoryRules();
+        await this.loadMuteFilterSettings();
+        await this.loadRefreshSettings();
+        await this.loadSearchEngines();
+        await this.loadVoiceSettings();
     }
 
     // Save settings to storage
@@ -1109,7 +1250,47 @@ class NewTabHackerNewsReader {
             const newTabToggle = document.getElementById('newTabToggle');
             const newTabEnabled = newTabToggle.checked;
             
-            await chrome.storage.sync.set({ newTabEnabled: newTabEnabled });
+            const categoryKeywords = this.readCategoryRuleInputs();
+            const muteFilters = this.readMuteFilterInputs();
+            const { engines: searchEngines, invalidLines } = this.readSearchEngineInputs();
+            const defaultEngineSelect = document.getElementById('defaultEngineSelect');
+            const voiceLanguageSelect = document.getElementById('voiceLanguageSelect');
+            const refreshIntervalSelect = document.getElementById('refreshIntervalSelect');
+            const pauseRefreshToggle = document.getElementById('pauseRefreshToggle');
+            
+            if (invalidLines.length > 0) {
+                this.showErrorMessage(`Invalid search engine: "${invalidLines[0]}". Use "Name | bang | URL with %s".`);
+                return;
+            }
+            if (searchEngines.length === 0) {
+                this.showErrorMessage('Add at least one search engine.');
+                return;
+            }
+            const defaultSearchEngine = defaultEngineSelect?.value || searchEngines[0].bang;
+            
+            // The background worker reschedules its alarm when these change
+            await chrome.storage.sync.set({
+                newTabEnabled: newTabEnabled,
+                categoryKeywords: categoryKeywords,
+                muteFilters: muteFilters,
+                refreshIntervalMinutes: parseInt(refreshIntervalSelect.value, 10),
+                pauseRefreshOnBattery: pauseRefreshToggle.checked,
+                searchEngines: searchEngines,
+                defaultSearchEngine: defaultSearchEngine,
+                voiceSearchLanguage: voiceLanguageSelect?.value || this.voiceSearchLanguage
+            });
+            
+            this.voiceSearchLanguage = voiceLanguageSelect?.value || this.voiceSearchLanguage;
+            
+            this.searchEngines = searchEngines;
+            this.defaultSearchEngine = defaultSearchEngine;
+            
+            // Re-classify and re-filter the feed with the new rules
+            this.categoryKeywords = { ...DEFAULT_CATEGORY_KEYWORDS, ...categoryKeywords };
+            this.muteFilters = muteFilters;
+            if (this.stories.length > 0) {
+                this.displayStories();
+            }
             
             // Show success message with specific feedback
             const message = newTabEnabled 
@@ -1127,6 +1308,79 @@ class NewTabHackerNewsReader {
         }
     }
 
+    // Load background refresh settings and history into the settings modal
+    async loadRefreshSettings() {
+        try {
+            const settings = await chrome.storage.sync.get(['refreshIntervalMinutes', 'pauseRefreshOnBattery']);
+            const refreshIntervalSelect = document.getElementById('refreshIntervalSelect');
+            const pauseRefreshToggle = document.getElementById('pauseRefreshToggle');
+            
+            if (refreshIntervalSelect) {
+                const interval = String(settings.refreshIntervalMinutes || 30);
+                // Keep an imported interval that isn't in the list selectable
+                if (![...refreshIntervalSelect.options].some(option => option.value === interval)) {
+                    refreshIntervalSelect.add(new Option(`${interval} minutes`, interval));
+                }
+                refreshIntervalSelect.value = interval;
+            }
+            if (pauseRefreshToggle) {
+                pauseRefreshToggle.checked = settings.pauseRefreshOnBattery === true;
+            }
+            
+            const { refreshHistory } = await chrome.storage.local.get(['refreshHistory']);
+            this.renderRefreshHistory(refreshHistory || {});
+        } catch (error) {
+            // Settings loading failed, use defaults
+        }
+    }
+
+    // Render last success/failure of the background refresh
+    renderRefreshHistory(history) {
+        const historyEl = document.getElementById('refreshHistory');
+        if (!historyEl) return;
+        
+        const describe = (entry) => {
+            if (!entry) return 'Never';
+            const duration = entry.duration !== undefined ? ` (${(entry.duration / 1000).toFixed(1)}s)` : '';
+            return `${this.formatTimeAgo(entry.timestamp / 1000)}${duration}`;
+        };
+        
+        historyEl.innerHTML = `
+            <div class="refresh-history-row">
+                <span>Last success</span>
+                <span>${describe(history.lastSuccess)}</span>
+            </div>
+            <div class="refresh-history-row">
+                <span>Last failure</span>
+                <span>${describe(history.lastFailure)}${history.lastFailure && history.lastFailure.error ? ` – ${this.escapeHtml(history.lastFailure.error)}` : ''}</span>
+            </div>
+            ${history.lastSkipped ? `
+            <div class="refresh-history-row">
+                <span>Last skipped</span>
+                <span>${describe(history.lastSkipped)} – ${this.escapeHtml(history.lastSkipped.reason)}</span>
+            </div>` : ''}
+        `;
+    }
+
+    // Report charging state so the background worker can pause refresh on battery
+    async reportPowerState() {
+        if (!navigator.getBattery) return;
+        
+        try {
+            const battery = await navigator.getBattery();
+            const saveState = () => {
+                chrome.storage.local.set({
+                    powerState: { charging: battery.charging, updatedAt: Date.now() }
+                });
+            };
+            
+            saveState();
+            battery.addEventListener('chargingchange', saveState);
+        } catch (error) {
+            // Battery status unavailable - refresh is never paused for battery
+        }
+    }
+
     // Show success message
     showSuccessMessage(message) {
         const saveBtn = document.getElementById('saveSettings');
@@ -1229,18 +1483,14 @@ class NewTabHackerNewsReader {
             const searchInput = document.getElementById('searchInput');
             if (searchInput) {
                 searchInput.addEventListener('keypress', (e) => {
-                    if (e.key === 'Enter') {
+                    // The crazy search bar handles Enter first (and prevents default), so this
+                    // only navigates when it isn't set up - both use resolveSearchTarget()
+                    if (e.key === 'Enter' && !e.defaultPrevented) {
                         const query = searchInput.value.trim();
-                        if (query) {
-                            // Check if it's a valid URL or domain
-                            if (this.isValidUrl(query)) {
-                                // Add protocol if missing
-                                const url = query.startsWith('http') ? query : `https://${query}`;
-                                window.location.href = url;
-                            } else {
-                                // Treat as search query
-                                window.location.href = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-                            }
+                        // Local search queries are handled by the crazy search bar
+                        if (query && this.getLocalSearchQuery(query) === null) {
+                            this.recordSearchQuery(query);
+                            window.location.href = this.resolveSearchTarget(query).url;
                         }
                     }
                 });
@@ -1264,9 +1514,7 @@ class NewTabHackerNewsReader {
             const voiceSearch = document.querySelector('.voice-search');
             if (voiceSearch) {
                 voiceSearch.addEventListener('click', () => {
-                    if (searchInput) {
-                        searchInput.focus();
-                    }
+                    this.handleVoiceSearch();
                 });
             }
 
@@ -1371,11 +1619,10 @@ class NewTabHackerNewsReader {
     async addQuickShortcut(name, url, service) {
         try {
             // Get existing custom shortcuts
-            const result = await chrome.storage.sync.get(['customShortcuts']);
-            const customShortcuts = result.customShortcuts || [];
+            const customShortcuts = await this.getCustomShortcuts();
             
-            // Check if shortcut already exists
-            const exists = customShortcuts.some(shortcut => shortcut.url === url);
+            // Check if shortcut already exists, including inside folders
+            const exists = this.flattenShortcuts(customShortcuts).some(shortcut => shortcut.url === url);
             if (exists) {
                 this.showSuccessMessage(`${name} is already added!`);
                 this.closeAddShortcutModal();
@@ -1391,12 +1638,11 @@ class NewTabHackerNewsReader {
             };
             
             customShortcuts.push(newShortcut);
+            await this.cacheShortcutIcon(newShortcut);
             
-            // Save to storage
-            await chrome.storage.sync.set({ customShortcuts: customShortcuts });
-            
-            // Add to UI
-            this.addShortcutToUI(newShortcut);
+            // Save to storage and redraw the grid
+            await this.saveCustomShortcuts(customShortcuts);
+            this.recordActivity('shortcut-added', { title: name, url });
             
             // Close modal
             this.closeAddShortcutModal();
@@ -1427,10 +1673,12 @@ class NewTabHackerNewsReader {
             return;
         }
 
+        // Ask while the click still counts as a user gesture
+        const faviconAccess = this.requestFaviconAccess({ url, icon });
+
         try {
             // Get existing custom shortcuts
-            const result = await chrome.storage.sync.get(['customShortcuts']);
-            const customShortcuts = result.customShortcuts || [];
+            const customShortcuts = await this.getCustomShortcuts();
             
             // Add new shortcut
             const newShortcut = {
@@ -1441,12 +1689,12 @@ class NewTabHackerNewsReader {
             };
             
             customShortcuts.push(newShortcut);
+            await faviconAccess;
+            await this.cacheShortcutIcon(newShortcut);
             
-            // Save to storage
-            await chrome.storage.sync.set({ customShortcuts: customShortcuts });
-            
-            // Add to UI
-            this.addShortcutToUI(newShortcut);
+            // Save to storage and redraw the grid
+            await this.saveCustomShortcuts(customShortcuts);
+            this.recordActivity('shortcut-added', { title: name, url });
             
             // Close both modals
             this.closeCustomUrlModal();
@@ -1463,45 +1711,70 @@ class NewTabHackerNewsReader {
     addShortcutToUI(shortcut) {
         const shortcutsGrid = document.querySelector('.shortcuts-grid');
         const addButton = document.getElementById('addShortcutBtn');
+        if (!shortcutsGrid) return;
         
-        // Create new shortcut element
+        // Insert before the add button
+        shortcutsGrid.insertBefore(this.createShortcutCard(shortcut), addButton);
+    }
+
+    // Build a card for a shortcut or folder, used by both the grid and the folder popover
+    createShortcutCard(shortcut) {
+        const isFolder = shortcut.type === 'folder';
         const shortcutCard = document.createElement('div');
-        shortcutCard.className = 'shortcut-card';
-        shortcutCard.setAttribute('data-url', shortcut.url);
+        shortcutCard.className = isFolder ? 'shortcut-card shortcut-folder' : 'shortcut-card';
         shortcutCard.setAttribute('data-shortcut-id', shortcut.id);
+        if (!isFolder) {
+            shortcutCard.setAttribute('data-url', shortcut.url);
+        }
         
-        // Get icon SVG based on selection
-        const iconSvg = this.getIconSvg(shortcut.icon);
+        // Folders show a small grid of their first few icons
+        const iconHtml = isFolder
+            ? `<div class="folder-icon">${shortcut.children.slice(0, 4).map(child => this.getShortcutIconHtml(child)).join('')}</div>`
+            : this.getShortcutIconHtml(shortcut);
+        const label = isFolder ? 'folder' : 'shortcut';
         
         shortcutCard.innerHTML = `
             <div class="shortcut-icon">
-                ${iconSvg}
+                ${iconHtml}
+            </div>
+            <div class="shortcut-name">${this.escapeHtml(shortcut.name)}</div>
+            <div class="edit-shortcut-btn" title="Edit ${label}">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                </svg>
             </div>
-            <div class="shortcut-name">${shortcut.name}</div>
-            <div class="remove-shortcut-btn" title="Remove shortcut">
+            <div class="remove-shortcut-btn" title="Remove ${label}">
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
                 </svg>
             </div>
         `;
         
-        // Add click event for navigation
+        // Folders open their popover, shortcuts navigate
         shortcutCard.addEventListener('click', (e) => {
-            // Don't navigate if clicking the remove button
-            if (!e.target.closest('.remove-shortcut-btn')) {
+            if (shortcutCard.classList.contains('editing') || e.target.closest('.remove-shortcut-btn, .edit-shortcut-btn')) {
+                return;
+            }
+            if (isFolder) {
+                this.openShortcutFolder(shortcut.id, shortcutCard);
+            } else {
                 window.location.href = shortcut.url;
             }
         });
         
+        shortcutCard.querySelector('.edit-shortcut-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startShortcutEdit(shortcutCard, shortcut);
+        });
+        
         // Add remove button click event
-        const removeBtn = shortcutCard.querySelector('.remove-shortcut-btn');
-        removeBtn.addEventListener('click', (e) => {
+        shortcutCard.querySelector('.remove-shortcut-btn').addEventListener('click', (e) => {
             e.stopPropagation();
             this.removeShortcut(shortcut.id, shortcut.name);
         });
         
-        // Insert before the add button
-        shortcutsGrid.insertBefore(shortcutCard, addButton);
+        this.setupShortcutDrag(shortcutCard, shortcut);
+        return shortcutCard;
     }
 
     getIconSvg(iconType) {
@@ -1554,49 +1827,65 @@ class NewTabHackerNewsReader {
 
     async loadCustomShortcuts() {
         try {
-            const result = await chrome.storage.sync.get(['customShortcuts']);
-            const customShortcuts = result.customShortcuts || [];
-            
-            // Add each custom shortcut to the UI
-            customShortcuts.forEach(shortcut => {
-                this.addShortcutToUI(shortcut);
-            });
+            const [customShortcuts] = await Promise.all([this.getCustomShortcuts(), this.loadShortcutIcons()]);
+            this.customShortcuts = customShortcuts;
+            this.renderCustomShortcuts();
+            this.refreshShortcutIcons();
         } catch (error) {
             console.error('Failed to load custom shortcuts:', error);
         }
     }
 
+    // Remove a shortcut or folder straight away; the toast's Undo puts it back in place
     async removeShortcut(shortcutId, shortcutName) {
-        // Show confirmation dialog
-        if (!confirm(`Are you sure you want to remove "${shortcutName}"?`)) {
-            return;
-        }
-
         try {
-            // Get existing custom shortcuts
-            const result = await chrome.storage.sync.get(['customShortcuts']);
-            const customShortcuts = result.customShortcuts || [];
-            
-            // Remove the shortcut from the array
-            const updatedShortcuts = customShortcuts.filter(shortcut => shortcut.id !== shortcutId);
-            
-            // Save updated shortcuts
-            await chrome.storage.sync.set({ customShortcuts: updatedShortcuts });
-            
-            // Remove from UI
-            const shortcutElement = document.querySelector(`[data-shortcut-id="${shortcutId}"]`);
-            if (shortcutElement) {
-                shortcutElement.remove();
+            // Remove the shortcut wherever it lives, dropping a folder left empty
+            const updatedShortcuts = this.cloneShortcuts(this.customShortcuts);
+            const removed = this.detachShortcutItem(updatedShortcuts, shortcutId);
+            if (!removed) return;
+            
+            // Remember the folder's own spot in case removing this shortcut empties it
+            if (removed.folder) {
+                removed.folderIndex = updatedShortcuts.indexOf(removed.folder);
             }
             
-            // Show success message
-            this.showSuccessMessage(`${shortcutName} removed successfully!`);
+            // Save updated shortcuts and redraw the grid
+            await this.saveCustomShortcuts(this.removeEmptyFolders(updatedShortcuts));
+            
+            this.showNotification(`${this.escapeHtml(shortcutName)} removed`, 'info', {
+                actionLabel: 'Undo',
+                duration: UNDO_TIMEOUT,
+                onAction: () => this.restoreShortcut(removed)
+            });
             
         } catch (error) {
             alert('Failed to remove shortcut. Please try again.');
         }
     }
 
+    // Put a removed shortcut back at its old position, recreating its folder if needed
+    async restoreShortcut(removed) {
+        const customShortcuts = this.cloneShortcuts(this.customShortcuts);
+        let container = customShortcuts;
+
+        if (removed.folder) {
+            let folder = customShortcuts.find(item => String(item.id) === String(removed.folder.id));
+            if (!folder) {
+                folder = { ...removed.folder, children: [] };
+                customShortcuts.splice(Math.min(removed.folderIndex, customShortcuts.length), 0, folder);
+            }
+            container = folder.children;
+        }
+        container.splice(Math.min(removed.index, container.length), 0, removed.item);
+
+        try {
+            await this.saveCustomShortcuts(customShortcuts);
+            this.showNotification(`${this.escapeHtml(removed.item.name)} restored`, 'success');
+        } catch (error) {
+            this.showNotification('Failed to restore shortcut', 'error');
+        }
+    }
+
     // Show stale data warning
     showStaleDataWarning() {
         // Create a temporary warning message
@@ -1643,7 +1932,20 @@ class NewTabHackerNewsReader {
     setupMessageListener() {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'STORIES_UPDATED') {
-                this.stories = message.stories.slice(0, 20); // New tab shows up to 20 stories
+                // Background refreshes every feed - only redraw for the one on screen
+                if ((message.feed || DEFAULT_FEED) !== this.currentFeed) return;
+                
+                const updatedStories = [...message.stories, ...(message.mutedStories || [])];
+                
+                // Once the user has scrolled into later pages, refresh the loaded stories' data
+                // in place rather than resetting the list under them
+                if (this.nextPageOffset > STORY_PAGE_SIZE) {
+                    const updatedById = new Map(updatedStories.map(story => [story.id, story]));
+                    this.stories = this.stories.map(story => (story && updatedById.get(story.id)) || story);
+                    return;
+                }
+                
+                this.setFirstPage(updatedStories);
                 this.displayStories();
                 
                 // Update timestamp with real update time
@@ -1705,7 +2007,7 @@ class NewTabHackerNewsReader {
             this.hideError();
             
             // Clear cache
-            await hnCache.clearCache();
+            await hnCache.clearCache(this.currentFeed);
             
             // Fetch fresh data
             await this.loadStories();
@@ -1755,7 +2057,7 @@ class NewTabHackerNewsReader {
 
     // Update the live timestamp with real cache time
     async updateTimestamp() {
-        const cached = await hnCache.getCachedStories();
+        const cached = await hnCache.getCachedStories(this.currentFeed);
         if (cached && cached.timestamp) {
             hnCache.updateDisplayTimestamp(cached.timestamp);
         }
@@ -1837,6 +2139,7 @@ class NewTabHackerNewsReader {
             closeArticlesModal.addEventListener('click', () => {
                 const modal = document.getElementById('articlesModal');
                 if (modal) modal.style.display = 'none';
+                this.flushArticleNotes();
             });
         }
         
@@ -1846,6 +2149,7 @@ class NewTabHackerNewsReader {
             articlesModal.addEventListener('click', (e) => {
                 if (e.target === articlesModal) {
                     articlesModal.style.display = 'none';
+                    this.flushArticleNotes();
                 }
             });
         }
@@ -1880,6 +2184,38 @@ class NewTabHackerNewsReader {
             });
         }
 
+        // Search box and date range reload the active tab
+        const articlesSearchInput = document.getElementById('articlesSearchInput');
+        const articlesSearchRange = document.getElementById('articlesSearchRange');
+        const reloadActiveArticles = () => {
+            const activeTab = document.querySelector('.articles-tab.active');
+            this.loadArticles(activeTab?.getAttribute('data-type') || 'read-later');
+        };
+
+        if (articlesSearchInput) {
+            articlesSearchInput.addEventListener('input', () => {
+                clearTimeout(this.articlesSearchTimer);
+                this.articlesSearchTimer = setTimeout(reloadActiveArticles, ARTICLE_SEARCH_DEBOUNCE);
+            });
+        }
+
+        if (articlesSearchRange) {
+            articlesSearchRange.addEventListener('change', reloadActiveArticles);
+        }
+
+        const articlesTagFilter = document.getElementById('articlesTagFilter');
+        if (articlesTagFilter) {
+            articlesTagFilter.addEventListener('click', (e) => this.handleTagFilterClick(e));
+        }
+
+        // Removals still waiting out their undo window go through when the tab closes
+        window.addEventListener('pagehide', () => {
+            [...this.pendingArticleDeletes.keys()].forEach(articleId => {
+                this.commitArticleDelete(articleId, { keepalive: true });
+            });
+            this.flushArticleNotes({ keepalive: true });
+        });
+
         // Story action buttons
         document.addEventListener('click', (e) => {
             if (e.target.closest('.story-actions .action-btn')) {
@@ -2439,6 +2775,9 @@ class NewTabHackerNewsReader {
             if (data.success) {
                 this.updateStoryButton(story.id, 'save', true);
                 this.showNotification('Article saved!', 'success');
+                this.recordDailyActivity('saved');
+                this.recordActivity('article-saved', { title: story.title, url: story.url || `https://news.ycombinator.com/item?id=${story.id}`, listType: 'saved' });
+                this.invalidateMetricsArticles();
             } else {
                 this.showNotification(data.message || 'Failed to save article', 'error');
             }
@@ -2480,6 +2819,9 @@ class NewTabHackerNewsReader {
             if (data.success) {
                 this.updateStoryButton(story.id, 'read-later', true);
                 this.showNotification('Added to read later!', 'success');
+                this.recordDailyActivity('readLater');
+                this.recordActivity('article-saved', { title: story.title, url: story.url || `https://news.ycombinator.com/item?id=${story.id}`, listType: 'read-later' });
+                this.invalidateMetricsArticles();
             } else {
                 this.showNotification(data.message || 'Failed to add to read later', 'error');
             }
@@ -2546,6 +2888,15 @@ class NewTabHackerNewsReader {
             }
         });
         
+        // Start each visit with an empty search
+        const searchInput = document.getElementById('articlesSearchInput');
+        const searchRange = document.getElementById('articlesSearchRange');
+        if (searchInput) searchInput.value = '';
+        if (searchRange) searchRange.value = 'any';
+        clearTimeout(this.articlesSearchTimer);
+        this.articleTagFilter.clear();
+        this.loadArticleTags();
+        
         // Show modal
         modal.style.display = 'flex';
         
@@ -2562,7 +2913,11 @@ class NewTabHackerNewsReader {
         const listEl = document.getElementById('articlesList');
         const emptyEl = document.getElementById('articlesEmpty');
         const errorEl = document.getElementById('articlesError');
-        const emptyMessage = document.getElementById('emptyMessage');
+        const search = this.getArticleSearchParams();
+        const requestId = ++this.articlesRequestId;
+        
+        // Don't lose notes typed just before the list is replaced
+        this.flushArticleNotes();
         
         // Show loading, hide others
         loadingEl.style.display = 'flex';
@@ -2577,7 +2932,14 @@ class NewTabHackerNewsReader {
             }
             
             const endpoint = type === 'saved' ? 'saved' : 'read-later';
-            const response = await fetch(`http://localhost:3000/api/articles/${endpoint}`, {
+            let url = `http://localhost:3000/api/articles/${endpoint}`;
+            if (search) {
+                search.set('type', endpoint);
+                search.set('limit', ARTICLE_SEARCH_LIMIT);
+                url = `http://localhost:3000/api/articles/search?${search}`;
+            }
+            
+            const response = await fetch(url, {
                 headers: {
                     'Authorization': `Bearer ${result.userToken}`
                 }
@@ -2588,7 +2950,18 @@ class NewTabHackerNewsReader {
             }
             
             const data = await response.json();
-            const articles = data.data?.articles || [];
+            
+            // A newer search or tab switch has started since this one
+            if (requestId !== this.articlesRequestId) return;
+            
+            if (data.data?.notesMaxLength) {
+                this.notesMaxLength = data.data.notesMaxLength;
+            }
+            if (data.data?.retention) {
+                this.readLaterRetention = { ...this.readLaterRetention, ...data.data.retention };
+            }
+            
+            const articles = (data.data?.articles || []).filter(article => !this.pendingArticleDeletes.has(article._id));
             
             // Hide loading
             loadingEl.style.display = 'none';
@@ -2596,9 +2969,7 @@ class NewTabHackerNewsReader {
             if (articles.length === 0) {
                 // Show empty state
                 emptyEl.style.display = 'flex';
-                emptyMessage.textContent = type === 'saved' 
-                    ? 'You haven\'t saved any articles yet.' 
-                    : 'You haven\'t added any articles to read later.';
+                this.showArticlesEmptyMessage(type);
             } else {
                 // Show articles list
                 listEl.style.display = 'flex';
@@ -2606,12 +2977,71 @@ class NewTabHackerNewsReader {
             }
             
         } catch (error) {
+            if (requestId !== this.articlesRequestId) return;
             console.error('Failed to load articles:', error);
             loadingEl.style.display = 'none';
             errorEl.style.display = 'flex';
         }
     }
 
+    // Query string for the search endpoint, or null when no search, tag filter or date range is set.
+    // "#tag" words join the selected filter tags and the rest is the text query
+    getArticleSearchParams() {
+        const rawQuery = document.getElementById('articlesSearchInput')?.value.trim() || '';
+        const range = document.getElementById('articlesSearchRange')?.value || 'any';
+        const rangeDays = ARTICLE_SEARCH_RANGES[range] || 0;
+
+        const tags = new Set(this.articleTagFilter);
+        const words = [];
+        rawQuery.split(/\s+/).filter(Boolean).forEach(word => {
+            const tag = word.startsWith('#') ? this.normalizeArticleTag(word) : '';
+            if (tag) {
+                tags.add(tag);
+            } else {
+                words.push(word);
+            }
+        });
+
+        if (words.length === 0 && tags.size === 0 && !rangeDays) return null;
+
+        const params = new URLSearchParams();
+        if (words.length > 0) params.set('q', words.join(' '));
+        if (tags.size > 0) params.set('tags', [...tags].join(','));
+        if (rangeDays) params.set('from', new Date(Date.now() - rangeDays * DAY_MS).toISOString());
+        return params;
+    }
+
+    // Empty state text for the active tab, which differs while a search is active
+    showArticlesEmptyMessage(type) {
+        const emptyTitle = document.getElementById('emptyTitle');
+        const emptyMessage = document.getElementById('emptyMessage');
+        const isSearching = !!this.getArticleSearchParams();
+
+        if (emptyTitle) {
+            emptyTitle.textContent = isSearching ? 'No matching articles' : 'No articles yet';
+        }
+        if (isSearching) {
+            emptyMessage.textContent = `Nothing in ${type === 'saved' ? 'Saved' : 'Read Later'} matches your search.`;
+        } else {
+            emptyMessage.textContent = type === 'saved' 
+                ? 'You haven\'t saved any articles yet.' 
+                : 'You haven\'t added any articles to read later.';
+        }
+    }
+
+    // Escape text and wrap the [start, end) ranges the search endpoint matched in <mark>
+    renderHighlightedText(text, ranges = []) {
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (start < position) return;
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + this.escapeHtml(text.slice(position));
+    }
+
     // Render articles list
     renderArticlesList(articles, type) {
         const listEl = document.getElementById('articlesList');
@@ -2622,9 +3052,26 @@ class NewTabHackerNewsReader {
             articleEl.className = 'article-item';
             articleEl.setAttribute('data-article-id', article._id);
             articleEl.setAttribute('data-article-type', article.type || type);
-            
-            // Calculate time ago
-            const timeAgo = this.getTimeAgo(article.savedAt);
+            articleEl.dataset.notes = article.notes || '';
+            articleEl.dataset.savedAt = article.savedAt;
+            articleEl.dataset.movedAt = article.movedAt || '';
+            articleEl.dataset.readAt = article.readAt || '';
+            articleEl.dataset.expiryWarningAt = article.expiryWarningAt || '';
+            
+            // Search results carry highlighted snippets; the title one replaces the plain title
+            const highlights = article.highlights || [];
+            const titleHighlight = highlights.find(highlight => highlight.field === 'title');
+            const titleHtml = titleHighlight && titleHighlight.snippet === article.title
+                ? this.renderHighlightedText(titleHighlight.snippet, titleHighlight.ranges)
+                : this.escapeHtml(article.title);
+            const snippetsHtml = highlights
+                .filter(highlight => ARTICLE_SNIPPET_LABELS[highlight.field])
+                .map(highlight => `
+                    <div class="article-snippet">
+                        <span class="article-snippet-field">${ARTICLE_SNIPPET_LABELS[highlight.field]}</span>
+                        <span class="article-snippet-text">${this.renderHighlightedText(highlight.snippet, highlight.ranges)}</span>
+                    </div>
+                `).join('');
             
             // Determine save button text based on current type
             const currentType = article.type || type;
@@ -2635,14 +3082,15 @@ class NewTabHackerNewsReader {
                 <div class="article-header">
                     <h3 class="article-title">
                         <a href="${article.url}" target="_blank" rel="noopener noreferrer">
-                            ${this.escapeHtml(article.title)}
+                            ${titleHtml}
                         </a>
                     </h3>
                     <div class="article-actions">
                         <button class="article-action-btn open" data-url="${article.url}">
                             Open
                         </button>
-                        <button class="article-action-btn save" data-id="${article._id}" data-target-type="${saveButtonAction}" data-story-id="${article.storyId}" data-title="${this.escapeHtml(article.title)}" data-url="${article.url}" data-score="${article.score || 0}" data-author="${this.escapeHtml(article.author || 'unknown')}" data-comments="${article.comments || 0}">
+                        ${currentType === 'read-later' ? '<button class="article-action-btn mark-read"></button>' : ''}
+                        <button class="article-action-btn save" data-id="${article._id}" data-target-type="${saveButtonAction}" data-story-id="${article.storyId}" data-title="${this.escapeHtml(article.title)}" data-url="${article.url}">
                             ${saveButtonText}
                         </button>
                         <button class="article-action-btn delete" data-id="${article._id}">
@@ -2676,12 +3124,18 @@ class NewTabHackerNewsReader {
                         </div>
                     ` : ''}
                 </div>
-                <div class="article-saved-time">Saved ${timeAgo}</div>
+                <div class="article-tags">${this.renderArticleTags(article.tags)}</div>
+                <div class="article-notes">${this.renderArticleNotes(article.notes)}</div>
+                ${snippetsHtml ? `<div class="article-snippets">${snippetsHtml}</div>` : ''}
+                <div class="article-saved-time"></div>
             `;
             
+            this.updateArticleReadStatus(articleEl);
             listEl.appendChild(articleEl);
         });
         
+        this.arrangeReadLaterSections();
+        
         // Add event listeners for article actions
         this.attachArticleActionListeners();
     }
@@ -2690,31 +3144,37 @@ class NewTabHackerNewsReader {
     attachArticleActionListeners() {
         const listEl = document.getElementById('articlesList');
         
+        // The list is re-rendered on every load, so only listen once
+        if (listEl.dataset.listenersAttached) return;
+        listEl.dataset.listenersAttached = 'true';
+        
         listEl.addEventListener('click', async (e) => {
-            if (e.target.closest('.article-action-btn.open')) {
+            if (e.target.closest('.article-tag-remove')) {
+                const chip = e.target.closest('.article-tag');
+                this.removeArticleTag(chip.closest('.article-item'), chip.getAttribute('data-tag'));
+            } else if (e.target.closest('.article-tag-name')) {
+                this.toggleArticleTagFilter(e.target.closest('.article-tag').getAttribute('data-tag'));
+            } else if (e.target.closest('.article-tag-add')) {
+                this.openArticleTagInput(e.target.closest('.article-item'));
+            } else if (e.target.closest('.article-notes-toggle') || (e.target.closest('.article-notes-preview') && !e.target.closest('a'))) {
+                this.openArticleNotesEditor(e.target.closest('.article-item'));
+            } else if (e.target.closest('.article-action-btn.mark-read')) {
+                const articleEl = e.target.closest('.article-item');
+                await this.setArticleReadState(articleEl, !articleEl.dataset.readAt);
+            } else if (e.target.closest('.article-title a')) {
+                this.handleArticleOpened(e.target.closest('.article-item'));
+            } else if (e.target.closest('.article-action-btn.open')) {
                 const url = e.target.closest('.article-action-btn.open').getAttribute('data-url');
                 if (url) {
                     window.open(url, '_blank', 'noopener,noreferrer');
+                    this.handleArticleOpened(e.target.closest('.article-item'));
                 }
             } else if (e.target.closest('.article-action-btn.save')) {
                 const btn = e.target.closest('.article-action-btn.save');
                 const articleId = btn.getAttribute('data-id');
                 const targetType = btn.getAttribute('data-target-type');
-                const storyId = btn.getAttribute('data-story-id');
-                const title = btn.getAttribute('data-title');
-                const url = btn.getAttribute('data-url');
-                const score = parseInt(btn.getAttribute('data-score')) || 0;
-                const author = btn.getAttribute('data-author');
-                const comments = parseInt(btn.getAttribute('data-comments')) || 0;
                 
-                await this.toggleArticleType(articleId, targetType, {
-                    storyId,
-                    title,
-                    url,
-                    score,
-                    author,
-                    comments
-                });
+                await this.toggleArticleType(articleId, targetType);
             } else if (e.target.closest('.article-action-btn.delete')) {
                 const btn = e.target.closest('.article-action-btn.delete');
                 const articleId = btn.getAttribute('data-id');
@@ -2723,19 +3183,75 @@ class NewTabHackerNewsReader {
         });
     }
 
-    // Delete article
+    // Count an article opened from the modal as a story visit, and offer to mark an
+    // unread read-later article as read
+    handleArticleOpened(articleEl) {
+        const saveBtn = articleEl?.querySelector('.article-action-btn.save');
+        if (!saveBtn) return;
+
+        const story = {
+            id: saveBtn.getAttribute('data-story-id'),
+            title: saveBtn.getAttribute('data-title'),
+            url: saveBtn.getAttribute('data-url')
+        };
+        this.markStoryVisited(story);
+        this.offerMarkAsRead(articleEl);
+    }
+
+    // Delete article: hide it right away and only send the DELETE once the undo window
+    // has passed, so an undone removal never reaches the backend
     async deleteArticle(articleId) {
-        try {
-            const result = await chrome.storage.local.get(['userToken']);
-            if (!result.userToken) {
-                this.showNotification('Please login first', 'error');
-                return;
-            }
-            
+        if (this.pendingArticleDeletes.has(articleId)) return;
+
+        const result = await chrome.storage.local.get(['userToken']);
+        if (!result.userToken) {
+            this.showNotification('Please login first', 'error');
+            return;
+        }
+
+        const listEl = document.getElementById('articlesList');
+        const articleEl = listEl.querySelector(`[data-article-id="${articleId}"]`);
+        const pending = {
+            token: result.userToken,
+            element: articleEl,
+            index: articleEl ? Array.from(listEl.children).indexOf(articleEl) : -1,
+            type: articleEl?.getAttribute('data-article-type'),
+            timer: setTimeout(() => this.commitArticleDelete(articleId), UNDO_TIMEOUT),
+            removeTimer: null
+        };
+        this.pendingArticleDeletes.set(articleId, pending);
+
+        // Remove article from DOM
+        if (articleEl) {
+            articleEl.style.opacity = '0';
+            articleEl.style.transform = 'translateX(-20px)';
+            pending.removeTimer = setTimeout(() => {
+                articleEl.remove();
+                this.updateArticlesEmptyState();
+            }, 300);
+        }
+
+        this.showNotification('Article removed', 'info', {
+            actionLabel: 'Undo',
+            duration: UNDO_TIMEOUT,
+            onAction: () => this.undoArticleDelete(articleId)
+        });
+    }
+
+    // Send a pending delete to the backend; keepalive lets it finish while the tab closes
+    async commitArticleDelete(articleId, { keepalive = false } = {}) {
+        const pending = this.pendingArticleDeletes.get(articleId);
+        if (!pending) return;
+
+        this.pendingArticleDeletes.delete(articleId);
+        clearTimeout(pending.timer);
+
+        try {
             const response = await fetch(`http://localhost:3000/api/articles/${articleId}`, {
                 method: 'DELETE',
+                keepalive,
                 headers: {
-                    'Authorization': `Bearer ${result.userToken}`
+                    'Authorization': `Bearer ${pending.token}`
                 }
             });
             
@@ -2743,44 +3259,64 @@ class NewTabHackerNewsReader {
                 throw new Error('Failed to delete article');
             }
             
-            // Remove article from DOM
-            const articleEl = document.querySelector(`[data-article-id="${articleId}"]`);
-            if (articleEl) {
-                articleEl.style.opacity = '0';
-                articleEl.style.transform = 'translateX(-20px)';
-                setTimeout(() => {
-                    articleEl.remove();
-                    
-                    // Check if list is empty
-                    const listEl = document.getElementById('articlesList');
-                    if (listEl.children.length === 0) {
-                        const emptyEl = document.getElementById('articlesEmpty');
-                        const emptyMessage = document.getElementById('emptyMessage');
-                        const activeTab = document.querySelector('.articles-tab.active');
-                        const type = activeTab?.getAttribute('data-type') || 'read-later';
-                        
-                        listEl.style.display = 'none';
-                        emptyEl.style.display = 'flex';
-                        emptyMessage.textContent = type === 'saved' 
-                            ? 'You haven\'t saved any articles yet.' 
-                            : 'You haven\'t added any articles to read later.';
-                    }
-                }, 300);
-            }
-            
-            this.showNotification('Article removed successfully', 'success');
-            
-            // Update user profile counts
-            await this.updateUserProfile();
+            this.invalidateMetricsArticles();
             
         } catch (error) {
             console.error('Failed to delete article:', error);
+            this.restoreArticleElement(pending);
             this.showNotification('Failed to remove article', 'error');
         }
     }
 
-    // Toggle article type (between saved and read-later)
-    async toggleArticleType(articleId, targetType, articleData) {
+    // Cancel a pending delete; the article was never removed on the server, so it keeps its savedAt
+    undoArticleDelete(articleId) {
+        const pending = this.pendingArticleDeletes.get(articleId);
+        if (!pending) return;
+
+        this.pendingArticleDeletes.delete(articleId);
+        clearTimeout(pending.timer);
+        clearTimeout(pending.removeTimer);
+        this.restoreArticleElement(pending);
+        this.showNotification('Article restored', 'success');
+    }
+
+    // Put a removed article back where it was, if its list is still showing
+    restoreArticleElement(pending) {
+        const listEl = document.getElementById('articlesList');
+        const activeType = document.querySelector('.articles-tab.active')?.getAttribute('data-type');
+        if (!pending.element || !listEl || activeType !== pending.type) return;
+
+        pending.element.style.opacity = '';
+        pending.element.style.transform = '';
+        if (!pending.element.isConnected) {
+            listEl.insertBefore(pending.element, listEl.children[pending.index] || null);
+        }
+        this.updateArticlesEmptyState();
+    }
+
+    // Switch between the list and the empty message as articles come and go
+    updateArticlesEmptyState() {
+        const listEl = document.getElementById('articlesList');
+        const emptyEl = document.getElementById('articlesEmpty');
+        const activeTab = document.querySelector('.articles-tab.active');
+        const type = activeTab?.getAttribute('data-type') || 'read-later';
+        const isEmpty = !listEl.querySelector('.article-item');
+
+        this.arrangeReadLaterSections();
+        listEl.style.display = isEmpty ? 'none' : 'flex';
+        emptyEl.style.display = isEmpty ? 'flex' : 'none';
+        if (isEmpty) {
+            this.showArticlesEmptyMessage(type);
+        }
+    }
+
+    // Move an article between saved and read-later with a single PATCH, so a failure
+    // leaves it where it was; tags, notes and savedAt travel with it
+    async toggleArticleType(articleId, targetType) {
+        const articleEl = document.querySelector(`[data-article-id="${articleId}"]`);
+        const saveBtn = articleEl?.querySelector('.article-action-btn.save');
+        if (saveBtn?.disabled) return;
+
         try {
             const result = await chrome.storage.local.get(['userToken']);
             if (!result.userToken) {
@@ -2788,76 +3324,47 @@ class NewTabHackerNewsReader {
                 return;
             }
             
-            // First, delete the old article
-            const deleteResponse = await fetch(`http://localhost:3000/api/articles/${articleId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${result.userToken}`
-                }
-            });
-            
-            if (!deleteResponse.ok) {
-                throw new Error('Failed to update article');
-            }
+            if (saveBtn) saveBtn.disabled = true;
             
-            // Then, save it with the new type
-            const saveResponse = await fetch('http://localhost:3000/api/articles/save', {
-                method: 'POST',
+            const response = await fetch(`http://localhost:3000/api/articles/${articleId}/type`, {
+                method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${result.userToken}`
                 },
-                body: JSON.stringify({
-                    storyId: articleData.storyId,
-                    title: articleData.title,
-                    url: articleData.url,
-                    type: targetType,
-                    score: articleData.score,
-                    author: articleData.author,
-                    comments: articleData.comments
-                }),
-                mode: 'cors'
+                body: JSON.stringify({ type: targetType })
             });
             
-            const saveData = await saveResponse.json();
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to move article');
+            }
             
-            if (saveData.success) {
-                // Remove article from DOM with animation
-                const articleEl = document.querySelector(`[data-article-id="${articleId}"]`);
-                if (articleEl) {
-                    articleEl.style.opacity = '0';
-                    articleEl.style.transform = 'translateX(-20px)';
-                    setTimeout(() => {
-                        articleEl.remove();
-                        
-                        // Check if list is empty
-                        const listEl = document.getElementById('articlesList');
-                        if (listEl.children.length === 0) {
-                            const emptyEl = document.getElementById('articlesEmpty');
-                            const emptyMessage = document.getElementById('emptyMessage');
-                            const activeTab = document.querySelector('.articles-tab.active');
-                            const type = activeTab?.getAttribute('data-type') || 'read-later';
-                            
-                            listEl.style.display = 'none';
-                            emptyEl.style.display = 'flex';
-                            emptyMessage.textContent = type === 'saved' 
-                                ? 'You haven\'t saved any articles yet.' 
-                                : 'You haven\'t added any articles to read later.';
-                        }
-                    }, 300);
-                }
-                
-                const actionText = targetType === 'saved' ? 'saved' : 'moved to read later';
-                this.showNotification(`Article ${actionText} successfully`, 'success');
-                
-                // Update user profile counts
-                await this.updateUserProfile();
-            } else {
-                throw new Error('Failed to save article');
+            // Remove article from DOM with animation
+            if (articleEl) {
+                articleEl.style.opacity = '0';
+                articleEl.style.transform = 'translateX(-20px)';
+                setTimeout(() => {
+                    articleEl.remove();
+                    this.updateArticlesEmptyState();
+                }, 300);
+            }
+            
+            const listName = targetType === 'saved' ? 'Saved' : 'Read Later';
+            const article = data.data.article;
+            if (article.notes) {
+                this.setStoryNotes(article.storyId, article.notes, article.type);
             }
             
+            this.showNotification(data.data.merged
+                ? `Already in ${listName}; tags and notes were merged`
+                : `Article ${targetType === 'saved' ? 'saved' : 'moved to read later'} successfully`, 'success');
+            
+            this.invalidateMetricsArticles();
+            
         } catch (error) {
             console.error('Failed to toggle article type:', error);
+            if (saveBtn) saveBtn.disabled = false;
             this.showNotification('Failed to update article', 'error');
         }
     }
@@ -2946,186 +3453,1443 @@ class NewTabHackerNewsReader {
         }, 3000);
     }
 
-    // ==================== CRAZY SEARCH BAR METHODS ====================
-
-    // Setup crazy search bar with all animations and interactions
-    setupCrazySearchBar() {
-        const searchInput = document.getElementById('searchInput');
-        const searchIcon = document.getElementById('searchIconAnimated');
-        const typingIndicator = document.getElementById('typingIndicator');
-        const searchSuggestions = document.getElementById('searchSuggestions');
-        const searchParticles = document.getElementById('searchParticles');
-        const searchEnergyRipples = document.getElementById('searchEnergyRipples');
-        const voiceBtn = document.getElementById('voiceBtn');
-
-        if (!searchInput) return;
+    // ==================== ARTICLE TAG METHODS ====================
 
-        let isTyping = false;
-        let typingTimeout = null;
-        let isFocused = false;
+    // Same normalization as the backend: lowercase, no leading "#", dashes for spaces
+    normalizeArticleTag(tag) {
+        return String(tag)
+            .trim()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '-')
+            .toLowerCase()
+            .slice(0, MAX_ARTICLE_TAG_LENGTH);
+    }
 
-        // Search suggestions
-        const suggestions = [
-            "AI breakthrough neural networks",
-            "Quantum computing latest news", 
-            "Blockchain technology updates",
-            "Space exploration missions",
-            "Cybersecurity threats 2024"
-        ];
+    // Fetch the user's tags with their counts for the filter bar and autocomplete
+    async loadArticleTags() {
+        try {
+            const result = await chrome.storage.local.get(['userToken']);
+            if (!result.userToken) return;
 
-        // Create floating particles
-        this.createSearchParticles();
+            const response = await fetch('http://localhost:3000/api/articles/tags', {
+                headers: {
+                    'Authorization': `Bearer ${result.userToken}`
+                }
+            });
 
-        // Input event handlers
-        searchInput.addEventListener('input', (e) => {
-            const value = e.target.value;
-            isTyping = true;
-            
-            // Toggle Enter button based on input
-            this.toggleEnterButton(value);
-            
-            // Show typing indicator
-            if (typingIndicator) {
-                typingIndicator.classList.add('active');
+            if (!response.ok) {
+                throw new Error('Failed to fetch tags');
             }
 
-            // Rotate search icon
-            if (searchIcon) {
-                searchIcon.classList.add('rotating');
-                setTimeout(() => {
-                    searchIcon.classList.remove('rotating');
-                }, 500);
-            }
+            const data = await response.json();
+            this.articleTags = data.data?.tags || [];
+        } catch (error) {
+            console.error('Failed to load article tags:', error);
+        }
 
-            // Clear previous timeout
-            if (typingTimeout) {
-                clearTimeout(typingTimeout);
-            }
+        this.renderArticleTagFilter();
+    }
 
-            // Hide typing indicator after delay
-            typingTimeout = setTimeout(() => {
-                isTyping = false;
-                if (typingIndicator) {
-                    typingIndicator.classList.remove('active');
-                }
-            }, 1000);
+    // Tag chips above the list: click to filter (several tags narrow it further), pencil to rename
+    renderArticleTagFilter() {
+        const filterEl = document.getElementById('articlesTagFilter');
+        const optionsEl = document.getElementById('articleTagOptions');
+        if (!filterEl) return;
 
-            // Show suggestions if there's text and focused
-            if (value.length > 0 && isFocused) {
-                this.showSearchSuggestions(value, suggestions);
-            } else {
-                this.hideSearchSuggestions();
-            }
+        // Keep selected tags visible even if they no longer have any articles
+        const tags = [...this.articleTags];
+        this.articleTagFilter.forEach(tag => {
+            if (!tags.some(item => item.tag === tag)) tags.push({ tag, count: 0 });
         });
 
-        // Focus event handlers
-        searchInput.addEventListener('focus', () => {
-            isFocused = true;
-            this.createEnergyRipples();
-            
-            if (searchInput.value.length > 0) {
-                this.showSearchSuggestions(searchInput.value, suggestions);
-            }
-        });
+        filterEl.style.display = tags.length > 0 ? 'flex' : 'none';
+        filterEl.innerHTML = tags.map(({ tag, count }) => {
+            const safeTag = this.escapeHtml(tag).replace(/"/g, '&quot;');
+            const active = this.articleTagFilter.has(tag) ? ' active' : '';
+            return `
+                <span class="tag-filter-chip${active}" data-tag="${safeTag}">
+                    <button class="tag-filter-name" title="Filter by #${safeTag}">#${this.escapeHtml(tag)} <span class="tag-filter-count">${count}</span></button>
+                    <button class="tag-rename-btn" title="Rename or merge #${safeTag}">✎</button>
+                </span>
+            `;
+        }).join('') + (this.articleTagFilter.size > 0
+            ? '<button class="tag-filter-clear">Clear filter</button>'
+            : '');
 
-        searchInput.addEventListener('blur', () => {
-            isFocused = false;
-            // Delay hiding suggestions to allow clicking
-            setTimeout(() => {
-                this.hideSearchSuggestions();
-            }, 200);
-        });
+        if (optionsEl) {
+            optionsEl.innerHTML = this.articleTags
+                .map(({ tag }) => `<option value="${this.escapeHtml(tag).replace(/"/g, '&quot;')}"></option>`)
+                .join('');
+        }
+    }
 
-        // Action button handlers
-        if (voiceBtn) {
-            voiceBtn.addEventListener('click', () => {
-                this.handleVoiceSearch();
-            });
+    // Handle clicks in the tag filter bar
+    handleTagFilterClick(e) {
+        const chip = e.target.closest('.tag-filter-chip');
+
+        if (e.target.closest('.tag-filter-clear')) {
+            this.articleTagFilter.clear();
+            this.applyArticleTagFilter();
+        } else if (chip && e.target.closest('.tag-rename-btn')) {
+            this.startArticleTagRename(chip);
+        } else if (chip && e.target.closest('.tag-filter-name')) {
+            this.toggleArticleTagFilter(chip.getAttribute('data-tag'));
         }
+    }
 
-        // Create and setup Enter button
-        this.createEnterButton();
-        
-        // Search on Enter key (but only if Enter button is visible)
-        searchInput.addEventListener('keypress', (e) => {
+    // Add or remove a tag from the list filter
+    toggleArticleTagFilter(tag) {
+        if (this.articleTagFilter.has(tag)) {
+            this.articleTagFilter.delete(tag);
+        } else {
+            this.articleTagFilter.add(tag);
+        }
+        this.applyArticleTagFilter();
+    }
+
+    // Re-render the filter bar and reload the active tab with the current filter
+    applyArticleTagFilter() {
+        this.renderArticleTagFilter();
+        const activeTab = document.querySelector('.articles-tab.active');
+        this.loadArticles(activeTab?.getAttribute('data-type') || 'read-later');
+    }
+
+    // Turn a filter chip into an input for renaming the tag
+    startArticleTagRename(chip) {
+        const tag = chip.getAttribute('data-tag');
+        const input = document.createElement('input');
+        input.className = 'article-tag-input';
+        input.value = tag;
+        input.maxLength = MAX_ARTICLE_TAG_LENGTH;
+        input.setAttribute('list', 'articleTagOptions');
+        input.title = 'Enter to rename; an existing tag name merges the two';
+
+        let done = false;
+        const finish = (rename) => {
+            if (done) return;
+            done = true;
+            if (rename) {
+                this.renameArticleTag(tag, input.value);
+            } else {
+                this.renderArticleTagFilter();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
-                this.handleEnterSearch();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
             }
         });
+        input.addEventListener('blur', () => finish(false));
+
+        chip.innerHTML = '';
+        chip.appendChild(input);
+        input.focus();
+        input.select();
     }
 
-    // Create Enter button
-    createEnterButton() {
-        const searchActionButtons = document.querySelector('.search-action-buttons');
-        if (!searchActionButtons) return;
+    // Rename a tag across all of the user's articles, merging into an existing tag after confirming
+    async renameArticleTag(tag, newName) {
+        const name = this.normalizeArticleTag(newName);
+        if (!name || name === tag) {
+            this.renderArticleTagFilter();
+            return;
+        }
 
-        // Check if Enter button already exists
-        if (document.getElementById('enterBtn')) return;
+        const isMerge = this.articleTags.some(item => item.tag === name);
+        if (isMerge && !confirm(`Merge #${tag} into #${name}? Articles tagged #${tag} will be tagged #${name} instead.`)) {
+            this.renderArticleTagFilter();
+            return;
+        }
 
-        const enterBtn = document.createElement('button');
-        enterBtn.id = 'enterBtn';
-        enterBtn.className = 'search-action-btn enter-btn';
-        enterBtn.title = 'Search';
-        enterBtn.style.display = 'none'; // Hidden by default
-        
-        enterBtn.innerHTML = `
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
-                <path d="M5 12h14M12 5l7 7-7 7"/>
-            </svg>
-            <div class="btn-glow"></div>
-        `;
+        try {
+            const result = await chrome.storage.local.get(['userToken']);
+            if (!result.userToken) {
+                this.showNotification('Please login first', 'error');
+                return;
+            }
 
-        // Add click handler
-        enterBtn.addEventListener('click', () => {
-            this.handleEnterSearch();
-        });
+            const response = await fetch(`http://localhost:3000/api/articles/tags/${encodeURIComponent(tag)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${result.userToken}`
+                },
+                body: JSON.stringify({ name })
+            });
 
-        // Insert Enter button as the last button
-        searchActionButtons.appendChild(enterBtn);
-    }
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to rename tag');
+            }
 
-    // Toggle Enter button visibility
-    toggleEnterButton(inputValue) {
-        const enterBtn = document.getElementById('enterBtn');
-        if (!enterBtn) return;
+            if (this.articleTagFilter.delete(tag)) {
+                this.articleTagFilter.add(data.data.tag);
+            }
 
-        if (inputValue && inputValue.trim().length > 0) {
-            enterBtn.style.display = 'flex';
-            enterBtn.style.animation = 'enterButtonSlideIn 0.3s ease-out';
-        } else {
-            enterBtn.style.animation = 'enterButtonSlideOut 0.3s ease-in';
-            setTimeout(() => {
-                enterBtn.style.display = 'none';
-            }, 300);
-        }
-    }
+            this.showNotification(this.escapeHtml(data.message), 'success');
+            this.invalidateMetricsArticles();
+            await this.loadArticleTags();
+            this.applyArticleTagFilter();
+        } catch (error) {
+            console.error('Failed to rename tag:', error);
+            this.showNotification('Failed to rename tag', 'error');
+            this.renderArticleTagFilter();
+        }
+    }
+
+    // Tag chips for one article; clicking a chip filters the list by it
+    renderArticleTags(tags = []) {
+        const chips = tags.map(tag => {
+            const safeTag = this.escapeHtml(tag).replace(/"/g, '&quot;');
+            const active = this.articleTagFilter.has(tag) ? ' active' : '';
+            return `
+                <span class="article-tag${active}" data-tag="${safeTag}">
+                    <button class="article-tag-name" title="Filter by #${safeTag}">#${this.escapeHtml(tag)}</button>
+                    <button class="article-tag-remove" title="Remove tag">&times;</button>
+                </span>
+            `;
+        }).join('');
 
-    // Handle Enter search
-    handleEnterSearch() {
-        const searchInput = document.getElementById('searchInput');
-        if (!searchInput || !searchInput.value.trim()) return;
+        const addButton = tags.length < MAX_ARTICLE_TAGS
+            ? '<button class="article-tag-add" title="Add tag">+ Tag</button>'
+            : '';
 
-        const query = searchInput.value.trim();
-        this.performSearch(query);
-        
-        // Clear input after search
-        setTimeout(() => {
-            searchInput.value = '';
-            this.toggleEnterButton('');
-        }, 1000);
+        return chips + addButton;
     }
 
-    // Create floating particles around search bar
-    createSearchParticles() {
-        const particlesContainer = document.getElementById('searchParticles');
-        if (!particlesContainer) return;
+    // Current tags of an article element, read from its chips
+    getArticleElementTags(articleEl) {
+        return Array.from(articleEl.querySelectorAll('.article-tag'))
+            .map(chip => chip.getAttribute('data-tag'));
+    }
 
-        // Clear existing particles
-        particlesContainer.innerHTML = '';
+    // Replace the "+ Tag" button with an input that autocompletes from existing tags.
+    // Enter or comma adds the tag and keeps the input open for the next one
+    openArticleTagInput(articleEl) {
+        const tagsEl = articleEl.querySelector('.article-tags');
+        const addButton = tagsEl?.querySelector('.article-tag-add');
+        if (!addButton) return;
 
-        // Create 8 particles
-        for (let i = 0; i < 8; i++) {
+        const input = document.createElement('input');
+        input.className = 'article-tag-input';
+        input.placeholder = 'Add tag';
+        input.maxLength = MAX_ARTICLE_TAG_LENGTH;
+        input.setAttribute('list', 'articleTagOptions');
+
+        const addTypedTag = () => {
+            const tag = this.normalizeArticleTag(input.value);
+            input.value = '';
+            if (!tag) return;
+
+            const tags = this.getArticleElementTags(articleEl);
+            if (!tags.includes(tag)) {
+                this.updateArticleTags(articleEl, [...tags, tag]);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                addTypedTag();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                input.value = '';
+                input.blur();
+            }
+        });
+
+        // Picking a suggestion from the datalist adds it straight away
+        input.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText' || e.inputType === undefined) {
+                addTypedTag();
+            }
+        });
+
+        // Leaving the input closes it, saving whatever was typed
+        input.addEventListener('blur', () => {
+            const tag = this.normalizeArticleTag(input.value);
+            const tags = this.getArticleElementTags(articleEl);
+            input.value = '';
+            tagsEl.innerHTML = this.renderArticleTags(tags);
+            if (tag && !tags.includes(tag)) {
+                this.updateArticleTags(articleEl, [...tags, tag]);
+            }
+        });
+
+        addButton.replaceWith(input);
+        input.focus();
+    }
+
+    // Remove one tag from an article
+    removeArticleTag(articleEl, tag) {
+        const tags = this.getArticleElementTags(articleEl).filter(item => item !== tag);
+        this.updateArticleTags(articleEl, tags);
+    }
+
+    // Save an article's tags and redraw its chips from what the backend stored
+    async updateArticleTags(articleEl, tags) {
+        const articleId = articleEl.getAttribute('data-article-id');
+        const tagsEl = articleEl.querySelector('.article-tags');
+        const previousTags = this.getArticleElementTags(articleEl);
+        const inputOpen = !!tagsEl.querySelector('.article-tag-input');
+
+        // Show the change right away (keeping an open input), and roll back on failure
+        const renderTags = (items) => {
+            const input = tagsEl.querySelector('.article-tag-input');
+            tagsEl.innerHTML = this.renderArticleTags(items);
+            if (input && inputOpen && items.length < MAX_ARTICLE_TAGS) {
+                tagsEl.querySelector('.article-tag-add')?.replaceWith(input);
+                input.focus();
+            }
+        };
+        renderTags(tags);
+
+        try {
+            const result = await chrome.storage.local.get(['userToken']);
+            if (!result.userToken) {
+                throw new Error('Not authenticated');
+            }
+
+            const response = await fetch(`http://localhost:3000/api/articles/${articleId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${result.userToken}`
+                },
+                body: JSON.stringify({ tags })
+            });
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to update tags');
+            }
+
+            const savedTags = data.data?.article?.tags || tags;
+            if (savedTags.join(',') !== tags.join(',')) {
+                renderTags(savedTags);
+            }
+
+            this.invalidateMetricsArticles();
+            this.loadArticleTags();
+        } catch (error) {
+            console.error('Failed to update article tags:', error);
+            renderTags(previousTags);
+            this.showNotification('Failed to update tags', 'error');
+        }
+    }
+
+    // ==================== ARTICLE NOTES METHODS ====================
+
+    // Notes block under an article: rendered markdown (click to edit) and an add/edit button
+    renderArticleNotes(notes = '') {
+        const preview = notes
+            ? `<div class="article-notes-preview notes-markdown" title="Click to edit">${this.renderNotesMarkdown(notes)}</div>`
+            : '';
+        return `${preview}<button class="article-notes-toggle">${notes ? '✎ Edit note' : '📝 Add note'}</button>`;
+    }
+
+    // Swap an article's notes block for the editor: write/preview tabs, a counter and autosave
+    openArticleNotesEditor(articleEl) {
+        const notesEl = articleEl.querySelector('.article-notes');
+        if (!notesEl || notesEl.querySelector('.notes-editor')) return;
+
+        const notes = articleEl.dataset.notes || '';
+        notesEl.innerHTML = `
+            <div class="notes-editor">
+                <div class="notes-editor-header">
+                    <button class="notes-tab active" data-mode="write">Write</button>
+                    <button class="notes-tab" data-mode="preview">Preview</button>
+                    <span class="notes-status"></span>
+                    <span class="notes-count"></span>
+                </div>
+                <textarea class="notes-textarea" rows="4" placeholder="Your notes (markdown supported)"></textarea>
+                <div class="notes-preview notes-markdown" style="display: none;"></div>
+                <div class="notes-editor-footer">
+                    <span class="notes-hint">**bold**, *italic*, \`code\`, [links](https://…), - lists · saves as you type</span>
+                    <button class="notes-done">Done</button>
+                </div>
+            </div>
+        `;
+
+        const textarea = notesEl.querySelector('.notes-textarea');
+        const preview = notesEl.querySelector('.notes-preview');
+        textarea.value = notes;
+        this.updateNotesCount(notesEl);
+
+        textarea.addEventListener('input', () => {
+            this.updateNotesCount(notesEl);
+            this.scheduleArticleNotesSave(articleEl);
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeArticleNotesEditor(articleEl);
+            }
+        });
+
+        notesEl.querySelectorAll('.notes-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                const isPreview = tab.getAttribute('data-mode') === 'preview';
+                notesEl.querySelectorAll('.notes-tab').forEach(t => t.classList.toggle('active', t === tab));
+                textarea.style.display = isPreview ? 'none' : '';
+                preview.style.display = isPreview ? '' : 'none';
+                if (isPreview) {
+                    preview.innerHTML = textarea.value.trim()
+                        ? this.renderNotesMarkdown(textarea.value)
+                        : '<p class="notes-empty">Nothing to preview</p>';
+                } else {
+                    textarea.focus();
+                }
+            });
+        });
+
+        notesEl.querySelector('.notes-done').addEventListener('click', () => this.closeArticleNotesEditor(articleEl));
+
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    // Character counter, flagged once the notes pass the limit
+    updateNotesCount(notesEl) {
+        const textarea = notesEl.querySelector('.notes-textarea');
+        const countEl = notesEl.querySelector('.notes-count');
+        if (!textarea || !countEl) return;
+
+        const length = textarea.value.trim().length;
+        countEl.textContent = `${length}/${this.notesMaxLength}`;
+        countEl.classList.toggle('over', length > this.notesMaxLength);
+    }
+
+    // Save a moment after the user stops typing
+    scheduleArticleNotesSave(articleEl) {
+        const articleId = articleEl.getAttribute('data-article-id');
+        clearTimeout(this.pendingNotesSaves.get(articleId)?.timer);
+
+        this.setNotesStatus(articleEl, 'Editing…');
+        this.pendingNotesSaves.set(articleId, {
+            articleEl,
+            timer: setTimeout(() => this.saveArticleNotes(articleId), NOTES_AUTOSAVE_DELAY)
+        });
+    }
+
+    // Status text next to the editor tabs
+    setNotesStatus(articleEl, text, state = '') {
+        const statusEl = articleEl.querySelector('.notes-status');
+        if (!statusEl) return;
+        statusEl.textContent = text;
+        statusEl.className = `notes-status ${state}`.trim();
+    }
+
+    // Send the editor's text to the backend; keepalive lets it finish while the tab closes
+    async saveArticleNotes(articleId, { keepalive = false } = {}) {
+        const pending = this.pendingNotesSaves.get(articleId);
+        if (!pending) return;
+
+        this.pendingNotesSaves.delete(articleId);
+        clearTimeout(pending.timer);
+
+        const { articleEl } = pending;
+        const textarea = articleEl.querySelector('.notes-textarea');
+        const notes = (textarea ? textarea.value : articleEl.dataset.notes || '').trim();
+        if (notes === (articleEl.dataset.notes || '')) {
+            this.setNotesStatus(articleEl, 'Saved', 'saved');
+            return;
+        }
+
+        this.setNotesStatus(articleEl, 'Saving…');
+
+        try {
+            const result = await chrome.storage.local.get(['userToken']);
+            if (!result.userToken) {
+                throw new Error('Not authenticated');
+            }
+
+            const response = await fetch(`http://localhost:3000/api/articles/${articleId}`, {
+                method: 'PUT',
+                keepalive,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${result.userToken}`
+                },
+                body: JSON.stringify({ notes })
+            });
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to save notes');
+            }
+
+            articleEl.dataset.notes = data.data?.article?.notes || '';
+            this.setNotesStatus(articleEl, 'Saved', 'saved');
+            const storyId = articleEl.querySelector('.article-action-btn.save')?.getAttribute('data-story-id');
+            this.setStoryNotes(storyId, articleEl.dataset.notes, articleEl.getAttribute('data-article-type'));
+
+            // Editor was closed while this save was in flight
+            if (!articleEl.querySelector('.notes-editor')) {
+                articleEl.querySelector('.article-notes').innerHTML = this.renderArticleNotes(articleEl.dataset.notes);
+            }
+        } catch (error) {
+            console.error('Failed to save notes:', error);
+            this.setNotesStatus(articleEl, error.message === 'Failed to fetch' ? 'Save failed' : error.message, 'error');
+            if (!articleEl.querySelector('.notes-editor')) {
+                this.showNotification('Failed to save notes', 'error');
+            }
+        }
+    }
+
+    // Save right away and go back to the rendered notes
+    async closeArticleNotesEditor(articleEl) {
+        const articleId = articleEl.getAttribute('data-article-id');
+        const notesEl = articleEl.querySelector('.article-notes');
+        const textarea = notesEl?.querySelector('.notes-textarea');
+        if (!textarea) return;
+
+        if (textarea.value.trim() !== (articleEl.dataset.notes || '')) {
+            clearTimeout(this.pendingNotesSaves.get(articleId)?.timer);
+            this.pendingNotesSaves.set(articleId, { articleEl, timer: null });
+            await this.saveArticleNotes(articleId);
+        }
+
+        // A failed save keeps the editor open so nothing typed is lost
+        if (textarea.value.trim() === (articleEl.dataset.notes || '')) {
+            notesEl.innerHTML = this.renderArticleNotes(articleEl.dataset.notes || '');
+        }
+    }
+
+    // Save every note still waiting out its autosave delay
+    flushArticleNotes(options = {}) {
+        [...this.pendingNotesSaves.keys()].forEach(articleId => this.saveArticleNotes(articleId, options));
+    }
+
+    // Render notes markdown: headings, lists, quotes, code blocks, bold, italic, inline code and links.
+    // Everything is escaped first, so notes can never inject HTML
+    renderNotesMarkdown(text) {
+        const html = [];
+        let paragraph = [];
+        let list = null;
+        let code = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length === 0) return;
+            html.push(`<p>${paragraph.map(line => this.renderNotesInline(line)).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const closeList = () => {
+            if (!list) return;
+            html.push(`</${list}>`);
+            list = null;
+        };
+
+        text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            if (code) {
+                if (line.startsWith('```')) {
+                    html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                    code = null;
+                } else {
+                    code.push(line);
+                }
+                return;
+            }
+
+            const heading = line.match(/^(#{1,3})\s+(.*)$/);
+            const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+            const quote = line.match(/^>\s?(.*)$/);
+
+            if (line.startsWith('```')) {
+                flushParagraph();
+                closeList();
+                code = [];
+            } else if (heading) {
+                flushParagraph();
+                closeList();
+                const level = heading[1].length + 3;
+                html.push(`<h${level}>${this.renderNotesInline(heading[2])}</h${level}>`);
+            } else if (item) {
+                flushParagraph();
+                const tag = item[1] ? 'ul' : 'ol';
+                if (list !== tag) {
+                    closeList();
+                    html.push(`<${tag}>`);
+                    list = tag;
+                }
+                html.push(`<li>${this.renderNotesInline(item[2])}</li>`);
+            } else if (quote) {
+                flushParagraph();
+                closeList();
+                html.push(`<blockquote>${this.renderNotesInline(quote[1])}</blockquote>`);
+            } else if (!line.trim()) {
+                flushParagraph();
+                closeList();
+            } else {
+                closeList();
+                paragraph.push(line);
+            }
+        });
+
+        if (code) {
+            html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+        }
+        flushParagraph();
+        closeList();
+
+        return html.join('');
+    }
+
+    // Inline markdown for one line. Code spans and links are split out first so emphasis
+    // never runs over code or a link's URL
+    renderNotesInline(text) {
+        return text.split(/(`[^`]+`|\[[^\]]+\]\(https?:\/\/[^\s)]+\))/).map(part => {
+            if (/^`[^`]+`$/.test(part)) {
+                return `<code>${this.escapeHtml(part.slice(1, -1))}</code>`;
+            }
+
+            const link = part.match(/^\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)$/);
+            if (link) {
+                const href = this.escapeHtml(link[2]).replace(/"/g, '&quot;');
+                return `<a href="${href}" target="_blank" rel="noopener noreferrer">${this.renderNotesEmphasis(link[1])}</a>`;
+            }
+
+            return this.renderNotesEmphasis(part);
+        }).join('');
+    }
+
+    // Escape text and apply **bold**, *italic* and _italic_
+    renderNotesEmphasis(text) {
+        return this.escapeHtml(text)
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_([^_\s][^_]*)_(?![\w])/g, '$1<em>$2</em>');
+    }
+
+    // Remember which stories have notes (storyId -> { notes, type }) so their cards can show it
+    async loadStoryNotes() {
+        const articles = await this.getMetricsArticles();
+        this.storyNotes = {};
+        (articles || []).forEach(article => {
+            if (article.notes) {
+                this.storyNotes[article.storyId] = { notes: article.notes, type: article.type };
+            }
+        });
+        document.querySelectorAll('.story[data-id]').forEach(storyEl => this.updateStoryNotesIndicator(storyEl));
+    }
+
+    // Update one story's notes after an edit in the articles modal
+    setStoryNotes(storyId, notes, type) {
+        if (!storyId) return;
+        if (notes) {
+            this.storyNotes[storyId] = { notes, type };
+        } else {
+            delete this.storyNotes[storyId];
+        }
+
+        const storyEl = document.querySelector(`.story[data-id="${CSS.escape(storyId)}"]`);
+        if (storyEl) this.updateStoryNotesIndicator(storyEl);
+    }
+
+    // Add or remove the notes badge in a story card's header; its tooltip previews the notes
+    updateStoryNotesIndicator(storyEl) {
+        const header = storyEl.querySelector('.story-header');
+        const entry = this.storyNotes[storyEl.getAttribute('data-id')];
+        let badge = storyEl.querySelector('.story-notes-badge');
+
+        if (!entry) {
+            badge?.remove();
+            return;
+        }
+
+        if (!badge && header) {
+            badge = document.createElement('button');
+            badge.className = 'story-notes-badge';
+            badge.textContent = '📝 Notes';
+            badge.addEventListener('click', () => {
+                const current = this.storyNotes[storyEl.getAttribute('data-id')];
+                if (current) this.showArticlesModal(current.type);
+            });
+            header.appendChild(badge);
+        }
+        if (badge) {
+            badge.title = entry.notes.length > NOTES_TOOLTIP_LENGTH
+                ? `${entry.notes.slice(0, NOTES_TOOLTIP_LENGTH)}…`
+                : entry.notes;
+        }
+    }
+
+    // ==================== ARTICLE READ STATE METHODS ====================
+
+    // Days until the cleanup service removes a read-later article: counted from readAt once read,
+    // and while unread from when it entered the list (savedAt, or movedAt if it was moved there)
+    getArticleDaysLeft(articleEl) {
+        const { readAt, savedAt, movedAt } = articleEl.dataset;
+        const { readLaterDays, readDays } = this.readLaterRetention;
+        const listedAt = Math.max(Date.parse(savedAt), movedAt ? Date.parse(movedAt) : 0);
+        const expiresAt = readAt
+            ? Date.parse(readAt) + readDays * DAY_MS
+            : listedAt + readLaterDays * DAY_MS;
+        return Math.max(0, Math.ceil((expiresAt - Date.now()) / DAY_MS));
+    }
+
+    // Whether an unread read-later article is close to expiring (or was flagged by the cleanup job)
+    isArticleExpiringSoon(articleEl) {
+        if (articleEl.getAttribute('data-article-type') !== 'read-later' || articleEl.dataset.readAt) return false;
+        return !!articleEl.dataset.expiryWarningAt
+            || this.getArticleDaysLeft(articleEl) <= this.readLaterRetention.expiryWarningDays;
+    }
+
+    // Saved/read times, plus when a read-later article will be removed
+    updateArticleReadStatus(articleEl) {
+        const statusEl = articleEl.querySelector('.article-saved-time');
+        const markBtn = articleEl.querySelector('.article-action-btn.mark-read');
+        const { readAt, savedAt } = articleEl.dataset;
+        const isReadLater = articleEl.getAttribute('data-article-type') === 'read-later';
+
+        articleEl.classList.toggle('read', !!readAt);
+        if (markBtn) markBtn.textContent = readAt ? 'Mark unread' : 'Mark read';
+        if (!statusEl) return;
+
+        let status = `Saved ${this.getTimeAgo(savedAt)}`;
+        if (readAt) status += ` · Read ${this.getTimeAgo(readAt)}`;
+        statusEl.textContent = status;
+
+        if (isReadLater) {
+            const daysLeft = this.getArticleDaysLeft(articleEl);
+            const expiry = document.createElement('span');
+            expiry.className = this.isArticleExpiringSoon(articleEl) ? 'article-expiry warning' : 'article-expiry';
+            expiry.textContent = daysLeft === 0
+                ? ' · Removed at the next cleanup'
+                : ` · ${readAt ? 'Cleared' : 'Expires'} in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+            statusEl.appendChild(expiry);
+        }
+    }
+
+    // Group the read-later list into Unread and Read sections, keeping each section's order
+    arrangeReadLaterSections() {
+        const listEl = document.getElementById('articlesList');
+        const activeType = document.querySelector('.articles-tab.active')?.getAttribute('data-type');
+        listEl.querySelectorAll('.articles-section-header').forEach(header => header.remove());
+        if (activeType !== 'read-later') return;
+
+        const items = Array.from(listEl.querySelectorAll('.article-item'));
+        const sections = [
+            { label: 'Unread', items: items.filter(item => !item.dataset.readAt) },
+            { label: 'Read', items: items.filter(item => item.dataset.readAt) }
+        ];
+
+        sections.forEach(({ label, items: sectionItems }) => {
+            if (sectionItems.length === 0) return;
+
+            const header = document.createElement('div');
+            header.className = 'articles-section-header';
+            header.innerHTML = `${label} <span class="articles-section-count">${sectionItems.length}</span>`;
+
+            const expiring = sectionItems.filter(item => this.isArticleExpiringSoon(item)).length;
+            if (expiring > 0) {
+                header.innerHTML += `<span class="articles-section-warning">⚠️ ${expiring} expiring soon</span>`;
+            }
+
+            listEl.appendChild(header);
+            sectionItems.forEach(item => listEl.appendChild(item));
+        });
+    }
+
+    // After opening an unread read-later article, offer to mark it as read
+    offerMarkAsRead(articleEl) {
+        if (articleEl.getAttribute('data-article-type') !== 'read-later' || articleEl.dataset.readAt) return;
+
+        this.showNotification('Finished reading?', 'info', {
+            actionLabel: 'Mark as read',
+            duration: UNDO_TIMEOUT,
+            onAction: () => this.setArticleReadState(articleEl, true)
+        });
+    }
+
+    // Set or clear readAt, then move the article to its section. Finishing a read-later article
+    // is logged once in the activity stream
+    async setArticleReadState(articleEl, isRead) {
+        const articleId = articleEl.getAttribute('data-article-id');
+
+        try {
+            const result = await chrome.storage.local.get(['userToken']);
+            if (!result.userToken) {
+                this.showNotification('Please login first', 'error');
+                return;
+            }
+
+            const response = await fetch(`http://localhost:3000/api/articles/${articleId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${result.userToken}`
+                },
+                body: JSON.stringify({ readAt: isRead ? new Date().toISOString() : null })
+            });
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to update article');
+            }
+
+            const article = data.data.article;
+            articleEl.dataset.readAt = article.readAt || '';
+            articleEl.dataset.movedAt = article.movedAt || '';
+            articleEl.dataset.expiryWarningAt = article.expiryWarningAt || '';
+            this.updateArticleReadStatus(articleEl);
+
+            // Most recently changed first in its new section
+            if (articleEl.isConnected) {
+                articleEl.parentNode.prepend(articleEl);
+                this.arrangeReadLaterSections();
+            }
+
+            if (isRead) {
+                const log = await this.getActivityLog();
+                if (!log.some(activity => activity.type === 'read-later-completed' && activity.articleId === articleId)) {
+                    await this.recordActivity('read-later-completed', { title: article.title, url: article.url, articleId });
+                }
+            }
+
+            this.showNotification(isRead ? 'Marked as read' : 'Marked as unread', 'success');
+            this.invalidateMetricsArticles();
+        } catch (error) {
+            console.error('Failed to update read state:', error);
+            this.showNotification('Failed to update article', 'error');
+        }
+    }
+
+    // ==================== COMMENT THREAD METHODS ====================
+
+    // Setup the inline comment thread viewer
+    setupCommentThreadViewer() {
+        // Open thread when a story's comment count is clicked
+        document.addEventListener('click', (e) => {
+            const commentsBtn = e.target.closest('.comments-btn');
+            if (commentsBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openCommentThread(commentsBtn.getAttribute('data-story-id'));
+            }
+        });
+
+        const closeBtn = document.getElementById('closeCommentsModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeCommentThread());
+        }
+
+        // Close modal when clicking outside
+        const modal = document.getElementById('commentsModal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeCommentThread();
+                }
+            });
+        }
+
+        // Collapse toggles and lazy "load replies" buttons inside the thread
+        const thread = document.getElementById('commentsThread');
+        if (thread) {
+            thread.addEventListener('click', (e) => {
+                const toggleBtn = e.target.closest('.comment-toggle');
+                if (toggleBtn) {
+                    this.toggleComment(toggleBtn.closest('.comment'));
+                    return;
+                }
+
+                const loadRepliesBtn = e.target.closest('.load-replies-btn');
+                if (loadRepliesBtn) {
+                    this.loadReplies(loadRepliesBtn);
+                }
+            });
+        }
+    }
+
+    // Open the comment thread for a story
+    async openCommentThread(storyId) {
+        const modal = document.getElementById('commentsModal');
+        const thread = document.getElementById('commentsThread');
+        if (!modal || !thread || !storyId) return;
+
+        const version = ++this.commentThreadVersion;
+        this.activeThread = null;
+        modal.style.display = 'flex';
+        thread.innerHTML = '<div class="comments-status">Loading comments...</div>';
+
+        // Always refetch the story itself so newly posted top-level comments show up
+        this.commentCache.delete(Number(storyId));
+        const story = await this.fetchHNItem(Number(storyId))
+            || this.stories.find(s => s && s.id.toString() === storyId.toString());
+
+        // Another thread was opened (or this one closed) while the story loaded
+        if (version !== this.commentThreadVersion) return;
+
+        if (!story) {
+            thread.innerHTML = '<div class="comments-status error">Failed to load comments. Please try again.</div>';
+            return;
+        }
+
+        // Remember when we last opened this thread so newer comments can be marked
+        const lastVisit = await this.getCommentVisit(story.id);
+        if (version !== this.commentThreadVersion) return;
+        this.activeThread = { story, lastVisit, unreadCount: 0 };
+        this.renderCommentThreadHeader(story);
+
+        const kids = story.kids || [];
+        if (kids.length === 0) {
+            thread.innerHTML = '<div class="comments-status">No comments yet.</div>';
+        } else {
+            thread.innerHTML = '';
+            await this.renderCommentLevel(kids, thread, 0, version);
+            if (version !== this.commentThreadVersion) return;
+        }
+
+        this.updateUnreadSummary();
+        await this.saveCommentVisit(story.id);
+    }
+
+    // Close the comment thread modal
+    closeCommentThread() {
+        const modal = document.getElementById('commentsModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.commentThreadVersion++;
+        this.activeThread = null;
+    }
+
+    // Render the story summary at the top of the thread
+    renderCommentThreadHeader(story) {
+        const title = document.getElementById('commentsModalTitle');
+        const meta = document.getElementById('commentsStoryMeta');
+
+        if (title) {
+            title.textContent = story.title || 'Comments';
+        }
+        if (meta) {
+            meta.innerHTML = `
+                <span>${story.score || 0} points</span>
+                <span>by <span class="comment-op-name">${this.escapeHtml(story.by || 'unknown')}</span></span>
+                <span>${story.descendants || 0} comments</span>
+                <span class="comments-unread-summary" id="commentsUnreadSummary"></span>
+                <a href="https://news.ycombinator.com/item?id=${story.id}" target="_blank" rel="noopener noreferrer">Open on HN</a>
+            `;
+        }
+    }
+
+    // Fetch and render one level of comments, then the next levels up to the lazy-load depth.
+    // Stops as soon as the thread it was started for is no longer the open one.
+    async renderCommentLevel(ids, container, depth, version = this.commentThreadVersion) {
+        const comments = await this.fetchHNItems(ids);
+
+        for (const comment of comments) {
+            if (version !== this.commentThreadVersion) return;
+
+            // Skip failed fetches and deleted/dead comments without replies
+            if (!comment || ((comment.deleted || comment.dead) && !(comment.kids && comment.kids.length))) {
+                continue;
+            }
+
+            const commentEl = this.createCommentElement(comment, depth);
+            container.appendChild(commentEl);
+
+            const kids = comment.kids || [];
+            if (kids.length === 0) continue;
+
+            const repliesEl = commentEl.querySelector('.comment-replies');
+            if (depth + 1 < COMMENT_PRELOAD_DEPTH) {
+                await this.renderCommentLevel(kids, repliesEl, depth + 1, version);
+            } else {
+                // Deeper levels are only fetched when asked for
+                repliesEl.innerHTML = `
+                    <button class="load-replies-btn" data-depth="${depth + 1}" data-kids="${kids.join(',')}">
+                        Load ${kids.length} ${kids.length === 1 ? 'reply' : 'replies'}
+                    </button>
+                `;
+            }
+        }
+    }
+
+    // Lazy load the replies behind a "Load N replies" button
+    async loadReplies(btn) {
+        const repliesEl = btn.parentElement;
+        const kids = (btn.getAttribute('data-kids') || '').split(',').filter(Boolean).map(Number);
+        const depth = parseInt(btn.getAttribute('data-depth'), 10) || 0;
+
+        const version = this.commentThreadVersion;
+        btn.disabled = true;
+        btn.textContent = 'Loading...';
+
+        repliesEl.innerHTML = '';
+        await this.renderCommentLevel(kids, repliesEl, depth, version);
+        if (version !== this.commentThreadVersion) return;
+        this.updateUnreadSummary();
+    }
+
+    // Create HTML element for a single comment
+    createCommentElement(comment, depth) {
+        const thread = this.activeThread;
+        const isOp = thread && comment.by && comment.by === thread.story.by;
+        const isUnread = thread && thread.lastVisit && comment.time > thread.lastVisit;
+        const replyCount = (comment.kids || []).length;
+
+        if (isUnread) {
+            thread.unreadCount++;
+        }
+
+        const commentEl = document.createElement('div');
+        commentEl.className = `comment${isOp ? ' op' : ''}${isUnread ? ' unread' : ''}`;
+        commentEl.setAttribute('data-comment-id', comment.id);
+        commentEl.setAttribute('data-depth', depth);
+
+        const author = comment.deleted ? '[deleted]' : this.escapeHtml(comment.by || 'unknown');
+        const body = comment.deleted || comment.dead
+            ? '<p class="comment-removed">[removed]</p>'
+            : this.sanitizeCommentHtml(comment.text || '');
+
+        commentEl.innerHTML = `
+            <div class="comment-header">
+                <button class="comment-toggle" title="Collapse thread">[–]</button>
+                <span class="comment-author">${author}</span>
+                ${isOp ? '<span class="comment-badge op-badge">OP</span>' : ''}
+                ${isUnread ? '<span class="comment-badge unread-badge">New</span>' : ''}
+                <span class="comment-time">${this.formatTimeAgo(comment.time)}</span>
+                <span class="comment-collapsed-count">${replyCount > 0 ? `${replyCount} ${replyCount === 1 ? 'reply' : 'replies'} hidden` : ''}</span>
+            </div>
+            <div class="comment-body">${body}</div>
+            <div class="comment-replies"></div>
+        `;
+
+        return commentEl;
+    }
+
+    // Collapse or expand a comment and its replies
+    toggleComment(commentEl) {
+        if (!commentEl) return;
+
+        const collapsed = commentEl.classList.toggle('collapsed');
+        const toggleBtn = commentEl.querySelector('.comment-toggle');
+        if (toggleBtn) {
+            toggleBtn.textContent = collapsed ? '[+]' : '[–]';
+            toggleBtn.title = collapsed ? 'Expand thread' : 'Collapse thread';
+        }
+    }
+
+    // Show how many comments arrived since the last visit
+    updateUnreadSummary() {
+        const summary = document.getElementById('commentsUnreadSummary');
+        const thread = this.activeThread;
+        if (!summary || !thread) return;
+
+        if (!thread.lastVisit) {
+            summary.textContent = 'First visit';
+        } else if (thread.unreadCount > 0) {
+            summary.textContent = `${thread.unreadCount} new since last visit`;
+        } else {
+            summary.textContent = 'No new comments since last visit';
+        }
+    }
+
+    // Keep only the markup HN uses in comments (p, a, i, pre, code)
+    sanitizeCommentHtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const allowedTags = ['P', 'A', 'I', 'B', 'EM', 'STRONG', 'PRE', 'CODE', 'BR'];
+
+        template.content.querySelectorAll('*').forEach(el => {
+            if (!allowedTags.includes(el.tagName)) {
+                el.replaceWith(document.createTextNode(el.textContent));
+                return;
+            }
+
+            const href = el.tagName === 'A' ? el.getAttribute('href') : null;
+            Array.from(el.attributes).forEach(attr => el.removeAttribute(attr.name));
+
+            if (href && /^https?:\/\//i.test(href)) {
+                el.setAttribute('href', href);
+                el.setAttribute('target', '_blank');
+                el.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+
+        // HN omits the opening <p> for the first paragraph
+        return `<p>${template.innerHTML}</p>`;
+    }
+
+    // Fetch a single HN item (story or comment), cached for this page
+    async fetchHNItem(id) {
+        const [item] = await this.fetchHNItems([id]);
+        return item;
+    }
+
+    // Fetch several HN items through the background worker, skipping ones already cached
+    async fetchHNItems(ids) {
+        const missingIds = ids.filter(id => !this.commentCache.has(id));
+
+        if (missingIds.length > 0) {
+            try {
+                const response = await chrome.runtime.sendMessage({ type: 'FETCH_ITEMS', ids: missingIds });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || 'Unknown error from background script');
+                }
+
+                response.items.forEach((item, index) => {
+                    if (item) this.commentCache.set(missingIds[index], item);
+                });
+            } catch (error) {
+                console.warn('Failed to fetch items:', error.message);
+            }
+        }
+
+        return ids.map(id => this.commentCache.get(id) || null);
+    }
+
+    // Get the last time (in seconds) this story's thread was opened
+    async getCommentVisit(storyId) {
+        try {
+            const result = await chrome.storage.local.get(['commentVisits']);
+            const visits = result.commentVisits || {};
+            return visits[storyId] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Record that this story's thread was opened now
+    async saveCommentVisit(storyId) {
+        try {
+            const result = await chrome.storage.local.get(['commentVisits']);
+            const visits = result.commentVisits || {};
+            visits[storyId] = Math.floor(Date.now() / 1000);
+
+            // Keep only the most recent visits so storage doesn't grow forever
+            const recent = Object.entries(visits)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, MAX_COMMENT_VISITS);
+
+            await chrome.storage.local.set({ commentVisits: Object.fromEntries(recent) });
+        } catch (error) {
+            console.warn('Failed to save comment visit:', error);
+        }
+    }
+
+    // ==================== READ TRACKING METHODS ====================
+
+    // Set up the "hide read stories" toggle next to the sort select
+    setupReadTracking() {
+        // Pick up visits recorded by other tabs and the popup
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.visitedStories?.newValue) {
+                this.mergeVisitedStories(changes.visitedStories.newValue);
+            }
+        });
+
+        const hideReadToggle = document.getElementById('hideReadToggle');
+        if (!hideReadToggle) return;
+
+        hideReadToggle.addEventListener('change', async (e) => {
+            this.hideReadStories = e.target.checked;
+            this.displayStories();
+
+            try {
+                await chrome.storage.sync.set({ hideReadStories: this.hideReadStories });
+            } catch (error) {
+                console.error('Failed to save hide read stories setting:', error);
+            }
+        });
+    }
+
+    // Load visited stories and the hide-read preference
+    async loadReadState() {
+        try {
+            const [local, sync] = await Promise.all([
+                chrome.storage.local.get(['visitedStories']),
+                chrome.storage.sync.get(['hideReadStories'])
+            ]);
+            this.visitedStories = local.visitedStories || {};
+            this.hideReadStories = sync.hideReadStories === true;
+        } catch (error) {
+            console.error('Failed to load read state:', error);
+        }
+
+        const hideReadToggle = document.getElementById('hideReadToggle');
+        if (hideReadToggle) {
+            hideReadToggle.checked = this.hideReadStories;
+        }
+    }
+
+    // Fold stored visits into the in-memory set, keeping the latest visit per story
+    mergeVisitedStories(stored) {
+        Object.entries(stored || {}).forEach(([id, visit]) => {
+            const current = this.visitedStories[id];
+            if (!current || visit.visitedAt > current.visitedAt) {
+                this.visitedStories[id] = visit;
+                document.querySelectorAll(`.story[data-id="${id}"]`).forEach(card => card.classList.add('visited'));
+            }
+        });
+    }
+
+    // Check whether a story has been opened before
+    isStoryVisited(story) {
+        return Boolean(story && this.visitedStories[story.id]);
+    }
+
+    // Record that a story (or its comments) was opened, and dim its card right away.
+    // Cards stay in the list even with "hide read stories" on until the next render.
+    async markStoryVisited(story) {
+        // Count each story once per day in the reading analytics
+        const previousVisit = this.visitedStories[story.id];
+        const writes = [];
+        if (!previousVisit || this.getDayKey(new Date(previousVisit.visitedAt)) !== this.getDayKey()) {
+            writes.push(this.recordDailyActivity('opened'));
+        }
+
+        const entry = {
+            visitedAt: Date.now(),
+            title: story.title || '',
+            url: story.url || `https://news.ycombinator.com/item?id=${story.id}`
+        };
+        this.visitedStories[story.id] = entry;
+        writes.push(this.recordActivity('story-opened', { title: entry.title, url: entry.url, storyId: story.id }));
+
+        document.querySelectorAll(`.story[data-id="${story.id}"]`).forEach(card => {
+            card.classList.add('visited');
+        });
+
+        writes.push(this.saveVisitedStory(story.id, entry));
+        await Promise.allSettled(writes);
+    }
+
+    // Store one visit, merged with the latest stored visits (not this tab's snapshot) so
+    // visits from other tabs or the popup aren't overwritten
+    saveVisitedStory(storyId, entry) {
+        this.visitedStoriesWrite = this.visitedStoriesWrite.then(async () => {
+            try {
+                const result = await chrome.storage.local.get(['visitedStories']);
+                const visited = { ...(result.visitedStories || {}), [storyId]: entry };
+
+                const recent = Object.entries(visited)
+                    .sort((a, b) => b[1].visitedAt - a[1].visitedAt)
+                    .slice(0, MAX_VISITED_STORIES);
+
+                await chrome.storage.local.set({ visitedStories: Object.fromEntries(recent) });
+            } catch (error) {
+                console.warn('Failed to save visited story:', error);
+            }
+        });
+        return this.visitedStoriesWrite;
+    }
+
+    // ==================== CRAZY SEARCH BAR METHODS ====================
+
+    // Setup crazy search bar with all animations and interactions
+    setupCrazySearchBar() {
+        const searchInput = document.getElementById('searchInput');
+        const searchIcon = document.getElementById('searchIconAnimated');
+        const typingIndicator = document.getElementById('typingIndicator');
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        const searchParticles = document.getElementById('searchParticles');
+        const searchEnergyRipples = document.getElementById('searchEnergyRipples');
+        const voiceBtn = document.getElementById('voiceBtn');
+
+        if (!searchInput) return;
+
+        let isTyping = false;
+        let typingTimeout = null;
+        let isFocused = false;
+
+        // Create floating particles
+        this.createSearchParticles();
+
+        // Input event handlers
+        searchInput.addEventListener('input', (e) => {
+            const value = e.target.value;
+            isTyping = true;
+            
+            // Toggle Enter button based on input
+            this.toggleEnterButton(value);
+            
+            // Show typing indicator
+            if (typingIndicator) {
+                typingIndicator.classList.add('active');
+            }
+
+            // Rotate search icon
+            if (searchIcon) {
+                searchIcon.classList.add('rotating');
+                setTimeout(() => {
+                    searchIcon.classList.remove('rotating');
+                }, 500);
+            }
+
+            // Clear previous timeout
+            if (typingTimeout) {
+                clearTimeout(typingTimeout);
+            }
+
+            // Hide typing indicator after delay
+            typingTimeout = setTimeout(() => {
+                isTyping = false;
+                if (typingIndicator) {
+                    typingIndicator.classList.remove('active');
+                }
+            }, 1000);
+
+            // Local search replaces suggestions with inline results
+            const localQuery = this.getLocalSearchQuery(value);
+            if (localQuery !== null) {
+                this.hideSearchSuggestions();
+                this.scheduleLocalSearch(localQuery);
+                return;
+            }
+            this.hideLocalSearchResults();
+
+            // Show suggestions if there's text and focused
+            if (value.length > 0 && isFocused) {
+                this.showSearchSuggestions(value);
+            } else {
+                this.hideSearchSuggestions();
+            }
+        });
+
+        // Focus event handlers
+        searchInput.addEventListener('focus', () => {
+            isFocused = true;
+            this.createEnergyRipples();
+            
+            const localQuery = this.getLocalSearchQuery(searchInput.value);
+            if (localQuery !== null) {
+                this.scheduleLocalSearch(localQuery);
+            } else if (searchInput.value.length > 0) {
+                this.showSearchSuggestions(searchInput.value);
+            }
+        });
+
+        searchInput.addEventListener('blur', () => {
+            isFocused = false;
+            // Delay hiding suggestions to allow clicking
+            setTimeout(() => {
+                this.hideSearchSuggestions();
+                this.hideLocalSearchResults();
+            }, 200);
+        });
+
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideLocalSearchResults();
+                this.hideSearchSuggestions();
+            } else {
+                this.handleSuggestionKeydown(e);
+            }
+        });
+
+        // Local search toggle
+        const localSearchBtn = document.getElementById('localSearchBtn');
+        if (localSearchBtn) {
+            localSearchBtn.addEventListener('click', () => {
+                this.toggleLocalSearchMode();
+            });
+        }
+
+        // Action button handlers
+        if (voiceBtn) {
+            voiceBtn.addEventListener('click', () => {
+                this.handleVoiceSearch();
+            });
+        }
+
+        // Create and setup Enter button
+        this.createEnterButton();
+        
+        // Search on Enter key (but only if Enter button is visible)
+        searchInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleEnterSearch();
+            }
+        });
+    }
+
+    // Create Enter button
+    createEnterButton() {
+        const searchActionButtons = document.querySelector('.search-action-buttons');
+        if (!searchActionButtons) return;
+
+        // Check if Enter button already exists
+        if (document.getElementById('enterBtn')) return;
+
+        const enterBtn = document.createElement('button');
+        enterBtn.id = 'enterBtn';
+        enterBtn.className = 'search-action-btn enter-btn';
+        enterBtn.title = 'Search';
+        enterBtn.style.display = 'none'; // Hidden by default
+        
+        enterBtn.innerHTML = `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+                <path d="M5 12h14M12 5l7 7-7 7"/>
+            </svg>
+            <div class="btn-glow"></div>
+        `;
+
+        // Add click handler
+        enterBtn.addEventListener('click', () => {
+            this.handleEnterSearch();
+        });
+
+        // Insert Enter button as the last button
+        searchActionButtons.appendChild(enterBtn);
+    }
+
+    // Toggle Enter button visibility
+    toggleEnterButton(inputValue) {
+        const enterBtn = document.getElementById('enterBtn');
+        if (!enterBtn) return;
+
+        if (inputValue && inputValue.trim().length > 0) {
+            enterBtn.style.display = 'flex';
+            enterBtn.style.animation = 'enterButtonSlideIn 0.3s ease-out';
+        } else {
+            enterBtn.style.animation = 'enterButtonSlideOut 0.3s ease-in';
+            setTimeout(() => {
+                enterBtn.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    // Handle Enter search
+    handleEnterSearch() {
+        const searchInput = document.getElementById('searchInput');
+        if (!searchInput || !searchInput.value.trim()) return;
+
+        const query = searchInput.value.trim();
+        
+        // In local search, Enter opens the top result instead of searching the web
+        if (this.getLocalSearchQuery(query) !== null) {
+            this.openLocalSearchResult(0);
+            return;
+        }
+        
+        this.performSearch(query);
+        
+        // Clear input after search
+        setTimeout(() => {
+            searchInput.value = '';
+            this.toggleEnterButton('');
+        }, 1000);
+    }
+
+    // Create floating particles around search bar
+    createSearchParticles() {
+        const particlesContainer = document.getElementById('searchParticles');
+        if (!particlesContainer) return;
+
+        // Clear existing particles
+        particlesContainer.innerHTML = '';
+
+        // Create 8 particles
+        for (let i = 0; i < 8; i++) {
             const particle = document.createElement('div');
             particle.className = 'search-particle';
             particle.style.left = `${20 + i * 10}%`;
@@ -3135,278 +4899,1831 @@ class NewTabHackerNewsReader {
         }
     }
 
-    // Create energy ripples when focused
-    createEnergyRipples() {
-        const ripplesContainer = document.getElementById('searchEnergyRipples');
-        if (!ripplesContainer) return;
+    // Create energy ripples when focused
+    createEnergyRipples() {
+        const ripplesContainer = document.getElementById('searchEnergyRipples');
+        if (!ripplesContainer) return;
+
+        // Clear existing ripples
+        ripplesContainer.innerHTML = '';
+
+        // Create 3 ripples
+        for (let i = 0; i < 3; i++) {
+            const ripple = document.createElement('div');
+            ripple.className = 'energy-ripple';
+            ripple.style.animationDelay = `${i * 0.7}s`;
+            ripplesContainer.appendChild(ripple);
+        }
+    }
+
+    // Show suggestions from search history, shortcuts, saved articles and cached stories
+    async showSearchSuggestions(query) {
+        const suggestionsContainer = document.getElementById('searchSuggestions');
+        if (!suggestionsContainer) return;
+
+        const suggestions = await this.getSearchSuggestions(query);
+
+        // Ignore results for a query the user has already typed past
+        if (document.getElementById('searchInput')?.value !== query) return;
+
+        this.searchSuggestions = suggestions;
+        this.activeSuggestionIndex = -1;
+
+        if (suggestions.length === 0) {
+            this.hideSearchSuggestions();
+            return;
+        }
+
+        suggestionsContainer.innerHTML = '';
+        
+        suggestions.forEach((suggestion, index) => {
+            const suggestionElement = document.createElement('div');
+            suggestionElement.className = 'search-suggestion';
+            suggestionElement.style.animationDelay = `${index * 0.05}s`;
+            
+            suggestionElement.innerHTML = `
+                <svg class="search-suggestion-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${suggestion.source === 'history'
+                        ? '<circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline>'
+                        : '<circle cx="11" cy="11" r="8"></circle><path d="m21 21-4.35-4.35"></path>'}
+                </svg>
+                <span class="search-suggestion-text">${this.highlightSearchTokens(suggestion.text, this.tokenizeSearchText(query))}</span>
+                <span class="suggestion-badge ${suggestion.source}">${SUGGESTION_SOURCE_LABELS[suggestion.source]}</span>
+            `;
+
+            suggestionElement.addEventListener('click', () => {
+                this.selectSearchSuggestion(index);
+            });
+
+            suggestionsContainer.appendChild(suggestionElement);
+        });
+
+        if (suggestions.some(suggestion => suggestion.source === 'history')) {
+            const clearElement = document.createElement('div');
+            clearElement.className = 'search-suggestion clear-history';
+            clearElement.textContent = 'Clear search history';
+            clearElement.addEventListener('click', () => {
+                this.clearSearchHistory();
+            });
+            suggestionsContainer.appendChild(clearElement);
+        }
+
+        suggestionsContainer.classList.add('active');
+    }
+
+    // Collect suggestions for a query, a few from each source, without duplicate text
+    async getSearchSuggestions(query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [];
+
+        const [history, shortcuts, index] = await Promise.all([
+            this.getSearchHistory(),
+            this.getShortcutsForSuggestions(),
+            this.getLocalIndex()
+        ]);
+
+        const candidates = {
+            history: history.map(entry => ({ text: entry.query, source: 'history' })),
+            shortcut: shortcuts.map(shortcut => ({ text: shortcut.name, source: 'shortcut', url: shortcut.url })),
+            saved: index.docs
+                .filter(doc => doc.sources.has('saved') || doc.sources.has('read-later'))
+                .map(doc => ({ text: doc.title, source: 'saved', url: doc.url })),
+            story: index.docs
+                .filter(doc => doc.sources.has('feed'))
+                .sort((a, b) => (b.score || 0) - (a.score || 0))
+                .map(doc => ({ text: doc.title, source: 'story', url: doc.url }))
+        };
+
+        // Matches at the start of the text (or of a word) come before matches elsewhere
+        const matchRank = (text) => {
+            const lower = text.toLowerCase();
+            if (lower.startsWith(needle)) return 0;
+            if (lower.includes(` ${needle}`)) return 1;
+            return lower.includes(needle) ? 2 : -1;
+        };
+
+        const seen = new Set();
+        const suggestions = [];
+        Object.entries(SUGGESTION_SOURCE_LIMITS).forEach(([source, limit]) => {
+            candidates[source]
+                .filter(candidate => candidate.text && matchRank(candidate.text) >= 0)
+                .sort((a, b) => matchRank(a.text) - matchRank(b.text))
+                .filter(candidate => {
+                    const key = candidate.text.toLowerCase();
+                    if (seen.has(key) || key === needle) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .slice(0, limit)
+                .forEach(candidate => suggestions.push(candidate));
+        });
+
+        return suggestions.slice(0, MAX_SUGGESTIONS);
+    }
+
+    // Get custom shortcuts that can be suggested by name
+    async getShortcutsForSuggestions() {
+        try {
+            const customShortcuts = await this.getCustomShortcuts();
+            return this.flattenShortcuts(customShortcuts).filter(shortcut => shortcut.name && shortcut.url);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Arrow keys move through suggestions, Tab completes, Enter picks the highlighted one
+    handleSuggestionKeydown(e) {
+        const suggestionsContainer = document.getElementById('searchSuggestions');
+        if (!suggestionsContainer || !suggestionsContainer.classList.contains('active')) return;
+        if (this.searchSuggestions.length === 0) return;
+
+        const count = this.searchSuggestions.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            // Index -1 (nothing highlighted) sits between the last and first suggestion
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const position = (this.activeSuggestionIndex + 1 + step + count + 1) % (count + 1);
+            this.activeSuggestionIndex = position - 1;
+            this.highlightActiveSuggestion();
+        } else if (e.key === 'Tab' && !e.shiftKey) {
+            e.preventDefault();
+            const suggestion = this.searchSuggestions[Math.max(this.activeSuggestionIndex, 0)];
+            const searchInput = document.getElementById('searchInput');
+            searchInput.value = suggestion.text;
+            searchInput.dispatchEvent(new Event('input'));
+        } else if (e.key === 'Enter' && this.activeSuggestionIndex >= 0) {
+            // Cancelling keydown also stops the keypress handlers from running a search
+            e.preventDefault();
+            this.selectSearchSuggestion(this.activeSuggestionIndex);
+        }
+    }
+
+    // Mark the keyboard-selected suggestion
+    highlightActiveSuggestion() {
+        document.querySelectorAll('#searchSuggestions .search-suggestion:not(.clear-history)').forEach((element, index) => {
+            element.classList.toggle('active', index === this.activeSuggestionIndex);
+        });
+    }
+
+    // Search for a history entry, or open a shortcut/article/story
+    selectSearchSuggestion(index) {
+        const suggestion = this.searchSuggestions[index];
+        if (!suggestion) return;
+
+        this.hideSearchSuggestions();
+
+        if (suggestion.url) {
+            window.location.href = this.getSafeUrl(suggestion.url);
+            return;
+        }
+
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = suggestion.text;
+        this.performSearch(suggestion.text);
+    }
+
+    // Hide search suggestions
+    hideSearchSuggestions() {
+        const suggestionsContainer = document.getElementById('searchSuggestions');
+        if (suggestionsContainer) {
+            suggestionsContainer.classList.remove('active');
+        }
+        this.activeSuggestionIndex = -1;
+    }
+
+    // Get previous web searches, most recent first
+    async getSearchHistory() {
+        try {
+            const result = await chrome.storage.local.get(['searchHistory']);
+            return result.searchHistory || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Remember a web search (moved to the top if it was searched before)
+    async recordSearchQuery(query) {
+        try {
+            const history = (await this.getSearchHistory())
+                .filter(entry => entry.query.toLowerCase() !== query.toLowerCase());
+            history.unshift({ query, searchedAt: Date.now() });
+
+            await chrome.storage.local.set({ searchHistory: history.slice(0, MAX_SEARCH_HISTORY) });
+            this.recordActivity('search', { query });
+        } catch (error) {
+            console.warn('Failed to save search history:', error);
+        }
+    }
+
+    // Forget all previous searches
+    async clearSearchHistory() {
+        try {
+            await chrome.storage.local.remove('searchHistory');
+            this.hideSearchSuggestions();
+            this.showNotification('Search history cleared', 'success');
+        } catch (error) {
+            console.error('Failed to clear search history:', error);
+        }
+    }
+
+    // Start voice search, or stop it if it's already listening
+    handleVoiceSearch() {
+        const searchInput = document.getElementById('searchInput');
+
+        if (this.recognition) {
+            this.recognition.stop();
+            return;
+        }
+
+        // Check if browser supports speech recognition
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
+            this.setVoiceButtonState('error', 'Voice search is not supported in this browser');
+            this.showNotification('Voice search is not supported in this browser', 'error');
+            return;
+        }
+
+        const recognition = new SpeechRecognition();
+        recognition.continuous = false;
+        recognition.interimResults = true;
+        recognition.lang = this.voiceSearchLanguage;
+        this.recognition = recognition;
+
+        // Whatever was typed before stays in front of the transcript
+        const typedText = searchInput ? searchInput.value.trim() : '';
+        const placeholder = searchInput ? searchInput.placeholder : '';
+        let finalTranscript = '';
+        let failed = false;
+
+        recognition.onstart = () => {
+            this.setVoiceButtonState('listening', 'Listening... click to stop');
+            if (searchInput) {
+                searchInput.classList.add('voice-interim');
+                searchInput.placeholder = 'Listening...';
+            }
+        };
+
+        recognition.onresult = (event) => {
+            let interimTranscript = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                if (event.results[i].isFinal) {
+                    finalTranscript += event.results[i][0].transcript;
+                } else {
+                    interimTranscript += event.results[i][0].transcript;
+                }
+            }
+
+            if (searchInput) {
+                searchInput.value = [typedText, finalTranscript, interimTranscript]
+                    .map(part => part.trim())
+                    .filter(Boolean)
+                    .join(' ');
+                this.toggleEnterButton(searchInput.value);
+            }
+        };
+
+        recognition.onerror = (event) => {
+            failed = true;
+            console.error('Speech recognition error:', event.error);
+
+            const message = this.getVoiceErrorMessage(event.error);
+            if (message) {
+                this.setVoiceButtonState('error', message);
+                this.showNotification(message, 'error');
+            }
+        };
+
+        recognition.onend = () => {
+            this.recognition = null;
+            if (searchInput) {
+                searchInput.classList.remove('voice-interim');
+                searchInput.placeholder = placeholder;
+            }
+            if (!failed) {
+                this.setVoiceButtonState('idle');
+            }
+
+            if (finalTranscript.trim() && searchInput) {
+                searchInput.focus();
+                searchInput.dispatchEvent(new Event('input'));
+                this.showNotification(`🎤 Heard: "${this.escapeHtml(finalTranscript.trim())}" - press Enter to search`, 'success');
+            }
+        };
+
+        // Start listening
+        try {
+            recognition.start();
+        } catch (error) {
+            this.recognition = null;
+            this.setVoiceButtonState('error', 'Could not start voice search');
+            this.showNotification('Could not start voice search', 'error');
+        }
+    }
+
+    // Explain a speech recognition error, or null for ones that need no message
+    getVoiceErrorMessage(error) {
+        switch (error) {
+            case 'not-allowed':
+            case 'service-not-allowed':
+                return 'Microphone access was denied. Allow it for this extension in Chrome\'s site settings.';
+            case 'audio-capture':
+                return 'No microphone was found';
+            case 'no-speech':
+                return 'Didn\'t hear anything - try again';
+            case 'network':
+                return 'Voice search needs an internet connection';
+            case 'language-not-supported':
+                return 'This voice search language isn\'t supported - pick another in settings';
+            case 'aborted':
+                return null;
+            default:
+                return 'Voice search failed. Please try again.';
+        }
+    }
+
+    // Show the mic button as idle, listening or failed (with the reason as its tooltip)
+    setVoiceButtonState(state, title = 'Voice search') {
+        const voiceBtn = document.getElementById('voiceBtn');
+        if (!voiceBtn) return;
+
+        voiceBtn.classList.toggle('listening', state === 'listening');
+        voiceBtn.classList.toggle('voice-error', state === 'error');
+        voiceBtn.title = title;
+    }
+
+    // Load the voice search language and fill the settings select
+    async loadVoiceSettings() {
+        try {
+            const result = await chrome.storage.sync.get(['voiceSearchLanguage']);
+            this.voiceSearchLanguage = result.voiceSearchLanguage || navigator.language || 'en-US';
+        } catch (error) {
+            console.error('Failed to load voice search language:', error);
+        }
+
+        const select = document.getElementById('voiceLanguageSelect');
+        if (select) {
+            // Keep a browser language that isn't in the list selectable
+            if (![...select.options].some(option => option.value === this.voiceSearchLanguage)) {
+                select.add(new Option(this.voiceSearchLanguage, this.voiceSearchLanguage));
+            }
+            select.value = this.voiceSearchLanguage;
+        }
+
+        // Mark the mic as unavailable up front rather than on first click
+        if (!window.SpeechRecognition && !window.webkitSpeechRecognition) {
+            this.setVoiceButtonState('error', 'Voice search is not supported in this browser');
+        }
+    }
+
+    // Handle camera search
+    handleCameraSearch() {
+        // Commented out for now - image upload functionality disabled
+        /*
+        const cameraBtn = document.getElementById('cameraBtn');
+        
+        // Add visual feedback - active state
+        if (cameraBtn) {
+            cameraBtn.style.background = 'rgba(34, 197, 94, 0.2)';
+            cameraBtn.style.animation = 'cameraPulse 1s ease-in-out infinite';
+        }
+
+        // Create file input for image upload
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*';
+        fileInput.style.display = 'none';
+
+        fileInput.onchange = (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.processImageSearch(file);
+            }
+            
+            // Reset button state
+            if (cameraBtn) {
+                cameraBtn.style.background = 'transparent';
+                cameraBtn.style.animation = 'none';
+            }
+        };
+
+        // Trigger file selection
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
+
+        // Show instruction notification
+        this.showNotification('📷 Select an image to search', 'info');
+        */
+        
+        // Image search functionality removed
+        this.showNotification('📷 Image search feature coming soon!', 'info');
+    }
+
+    // Perform search
+    performSearch(query) {
+        if (!query.trim()) return;
+
+        // Add search animation
+        const searchContainer = document.getElementById('crazySearchContainer');
+        if (searchContainer) {
+            searchContainer.style.transform = 'scale(0.98)';
+            setTimeout(() => {
+                searchContainer.style.transform = 'scale(1)';
+            }, 150);
+        }
+
+        console.log('Performing search for:', query);
+        
+        // Show searching notification
+        this.showSearchNotification(`🔍 Searching for: ${query}`, 'info');
+        
+        // URL, bang or default engine
+        const target = this.resolveSearchTarget(query);
+        this.recordSearchQuery(query);
+        
+        // Open search in new tab
+        setTimeout(() => {
+            window.open(target.url, '_blank', 'noopener,noreferrer');
+            this.showSearchNotification(target.engine
+                ? `🚀 Opened ${target.engine.name} results for: ${target.terms || query}`
+                : `🚀 Opened ${query}`, 'success');
+        }, 500);
+    }
+
+    // Show search notification
+    showSearchNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        const leftPanel = document.querySelector('.left-column');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+        notification.style.cssText = `
+            position: absolute;
+            top: 20px;
+            right: 20px;
+            background: linear-gradient(135deg, rgba(59, 130, 246, 0.9) 0%, rgba(37, 99, 235, 0.9) 100%);
+            color: white;
+            padding: 12px 20px;
+            border-radius: 12px;
+            border: 1px solid rgba(59, 130, 246, 0.3);
+            backdrop-filter: blur(12px);
+            z-index: 10000;
+            opacity: 0;
+            transform: translateX(100px);
+            transition: all 0.3s ease;
+            font-size: 14px;
+            font-weight: 600;
+            max-width: 280px;
+            box-shadow: 0 8px 24px rgba(59, 130, 246, 0.3);
+        `;
+
+        // Append to left panel instead of body
+        if (leftPanel) {
+            leftPanel.appendChild(notification);
+        } else {
+            document.body.appendChild(notification);
+        }
+
+        // Animate in
+        setTimeout(() => {
+            notification.style.opacity = '1';
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+
+        // Remove after delay
+        setTimeout(() => {
+            notification.style.opacity = '0';
+            notification.style.transform = 'translateX(100px)';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    // ==================== SETTINGS IMPORT/EXPORT METHODS ====================
+
+    // Wire the export/import buttons in the settings modal
+    setupSettingsTransfer() {
+        const exportBtn = document.getElementById('exportSettingsBtn');
+        const importBtn = document.getElementById('importSettingsBtn');
+        const importFile = document.getElementById('importSettingsFile');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportSettings());
+        }
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', () => {
+                if (importFile.files[0]) {
+                    this.handleImportFile(importFile.files[0]);
+                }
+                importFile.value = '';
+            });
+        }
+
+        document.getElementById('applyImportBtn')?.addEventListener('click', () => this.applyPendingImport());
+        document.getElementById('cancelImportBtn')?.addEventListener('click', () => this.clearImportPreview());
+    }
+
+    // Download every synced setting, shortcuts included, as a versioned JSON file
+    async exportSettings() {
+        try {
+            const settings = await chrome.storage.sync.get(SETTINGS_EXPORT_KEYS);
+            const payload = {
+                format: SETTINGS_EXPORT_FORMAT,
+                version: SETTINGS_EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                settings
+            };
+
+            const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `vu-tech-settings-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            console.error('Failed to export settings:', error);
+            this.showErrorMessage('Failed to export settings.');
+        }
+    }
+
+    // Read a settings export or a browser bookmarks file and show what it contains
+    async handleImportFile(file) {
+        try {
+            const text = await file.text();
+            const isBookmarks = /\.html?$/i.test(file.name) || /^\s*<!DOCTYPE NETSCAPE-Bookmark-file/i.test(text);
+
+            let parsed;
+            if (isBookmarks) {
+                parsed = this.parseBookmarksHtml(text);
+            } else {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch {
+                    throw new Error('This file is not valid JSON.');
+                }
+                parsed = this.validateSettingsImport(data);
+            }
+
+            this.pendingImport = { ...parsed, fileName: file.name, isBookmarks };
+            this.renderImportPreview();
+        } catch (error) {
+            this.clearImportPreview();
+            this.showErrorMessage(error.message || 'Could not read this file.');
+        }
+    }
+
+    // Check an export file and keep only well-formed settings. Returns { settings, warnings }.
+    validateSettingsImport(data) {
+        if (!data || typeof data !== 'object' || data.format !== SETTINGS_EXPORT_FORMAT) {
+            throw new Error('This is not a VU tech settings file.');
+        }
+        if (!Number.isInteger(data.version) || data.version > SETTINGS_EXPORT_VERSION) {
+            throw new Error('This settings file is from a newer version of VU tech.');
+        }
+
+        const source = data.settings || {};
+        const settings = {};
+        const warnings = [];
+        const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+        const skip = (key) => warnings.push(`Skipped invalid "${key}" setting`);
+
+        ['newTabEnabled', 'pauseRefreshOnBattery', 'hideReadStories'].forEach(key => {
+            if (source[key] === undefined) return;
+            if (typeof source[key] === 'boolean') settings[key] = source[key];
+            else skip(key);
+        });
+
+        if (source.selectedFeed !== undefined) {
+            if (HN_FEEDS[source.selectedFeed]) settings.selectedFeed = source.selectedFeed;
+            else skip('selectedFeed');
+        }
+
+        if (source.refreshIntervalMinutes !== undefined) {
+            const minutes = Number(source.refreshIntervalMinutes);
+            if (Number.isInteger(minutes) && minutes >= MIN_REFRESH_INTERVAL && minutes <= 1440) settings.refreshIntervalMinutes = minutes;
+            else skip('refreshIntervalMinutes');
+        }
+
+        if (source.voiceSearchLanguage !== undefined) {
+            if (typeof source.voiceSearchLanguage === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(source.voiceSearchLanguage)) {
+                settings.voiceSearchLanguage = source.voiceSearchLanguage;
+            } else {
+                skip('voiceSearchLanguage');
+            }
+        }
+
+        if (source.categoryKeywords !== undefined) {
+            const keywords = source.categoryKeywords;
+            if (keywords && typeof keywords === 'object' && Object.keys(keywords).every(key => STORY_CATEGORIES[key] && isStringList(keywords[key]))) {
+                settings.categoryKeywords = keywords;
+            } else {
+                skip('categoryKeywords');
+            }
+        }
+
+        if (source.muteFilters !== undefined) {
+            const filters = source.muteFilters || {};
+            if (['keywords', 'domains', 'users'].every(key => filters[key] === undefined || isStringList(filters[key]))) {
+                settings.muteFilters = { ...DEFAULT_MUTE_FILTERS, ...filters };
+            } else {
+                skip('muteFilters');
+            }
+        }
+
+        if (source.searchEngines !== undefined) {
+            const engines = Array.isArray(source.searchEngines) ? source.searchEngines.filter(engine =>
+                engine && typeof engine.name === 'string' && engine.name.trim()
+                && /^[a-z0-9]+$/.test(engine.bang || '')
+                && /^https?:\/\/.+%s/i.test(engine.url || '')) : [];
+            if (engines.length > 0) {
+                settings.searchEngines = engines.map(({ name, bang, url }) => ({ name: name.trim(), bang, url }));
+                if (engines.length < source.searchEngines.length) {
+                    warnings.push(`Skipped ${source.searchEngines.length - engines.length} invalid search engines`);
+                }
+            } else {
+                skip('searchEngines');
+            }
+        }
+
+        if (source.defaultSearchEngine !== undefined) {
+            if (typeof source.defaultSearchEngine === 'string') settings.defaultSearchEngine = source.defaultSearchEngine;
+            else skip('defaultSearchEngine');
+        }
+
+        if (source.customShortcuts !== undefined) {
+            if (Array.isArray(source.customShortcuts)) {
+                settings.customShortcuts = this.sanitizeImportedShortcuts(source.customShortcuts, warnings);
+            } else {
+                skip('customShortcuts');
+            }
+        }
+
+        if (Object.keys(settings).length === 0) {
+            throw new Error('This settings file has nothing to import.');
+        }
+        return { settings, warnings };
+    }
+
+    // Keep shortcuts with a name and http(s) URL, one folder level deep, under fresh ids
+    sanitizeImportedShortcuts(items, warnings) {
+        let nextId = Date.now();
+        let skipped = 0;
+
+        const toShortcut = (item) => {
+            const name = typeof item?.name === 'string' ? item.name.trim().slice(0, MAX_SHORTCUT_NAME_LENGTH) : '';
+            if (!name || !/^https?:\/\//i.test(item.url || '') || !this.getShortcutHost(item.url)) {
+                skipped++;
+                return null;
+            }
+            const icon = typeof item.icon === 'string' && /^[a-z]+$/.test(item.icon) ? item.icon : 'default';
+            return { id: nextId++, name, url: item.url, icon };
+        };
+
+        const shortcuts = items.map(item => {
+            if (item?.type !== 'folder') return toShortcut(item);
+
+            const children = (Array.isArray(item.children) ? item.children : []).map(toShortcut).filter(Boolean);
+            if (children.length === 0) return null;
+            const name = typeof item.name === 'string' && item.name.trim() ? item.name.trim().slice(0, MAX_SHORTCUT_NAME_LENGTH) : 'Folder';
+            return { id: nextId++, type: 'folder', name, children };
+        }).filter(Boolean);
+
+        if (skipped > 0) {
+            warnings.push(`Skipped ${skipped} shortcuts without a name or web address`);
+        }
+        return shortcuts;
+    }
+
+    // Turn a Netscape bookmarks export into shortcuts. Bookmark folders become shortcut
+    // folders (nested folders are flattened into them); the toolbar folder is unwrapped.
+    parseBookmarksHtml(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const root = doc.querySelector('dl');
+        if (!root) {
+            throw new Error('No bookmarks found in this file.');
+        }
+
+        const items = [];
+        const toItem = (link) => ({ name: link.textContent, url: link.getAttribute('href'), icon: 'default' });
+        const walk = (list) => {
+            Array.from(list.children).filter(el => el.tagName === 'DT').forEach(entry => {
+                const link = entry.querySelector(':scope > a');
+                const heading = entry.querySelector(':scope > h3');
+                const folderList = entry.querySelector(':scope > dl');
+
+                if (link) {
+                    items.push(toItem(link));
+                } else if (heading && folderList) {
+                    if (heading.hasAttribute('personal_toolbar_folder')) {
+                        walk(folderList);
+                    } else {
+                        items.push({ type: 'folder', name: heading.textContent, children: Array.from(folderList.querySelectorAll('a')).map(toItem) });
+                    }
+                }
+            });
+        };
+        walk(root);
+
+        const warnings = [];
+        const customShortcuts = this.sanitizeImportedShortcuts(items, warnings);
+        if (customShortcuts.length === 0) {
+            throw new Error('No web bookmarks found in this file.');
+        }
+        return { settings: { customShortcuts }, warnings };
+    }
+
+    // Summarise the pending import so it can be checked before anything is written
+    renderImportPreview() {
+        const preview = document.getElementById('importPreview');
+        const { settings, warnings, fileName, isBookmarks } = this.pendingImport;
+        if (!preview) return;
+
+        const rows = [];
+        if (settings.customShortcuts) {
+            const shortcutCount = this.flattenShortcuts(settings.customShortcuts).length;
+            const folderCount = settings.customShortcuts.filter(item => item.type === 'folder').length;
+            rows.push(`${shortcutCount} shortcuts${folderCount > 0 ? ` in ${folderCount} folders and the grid` : ''}`);
+        }
+        if (settings.muteFilters) {
+            const { keywords, domains, users } = settings.muteFilters;
+            rows.push(`Mute filters: ${keywords.length} keywords, ${domains.length} domains, ${users.length} users`);
+        }
+        if (settings.categoryKeywords) {
+            rows.push(`Category keywords for ${Object.keys(settings.categoryKeywords).length} categories`);
+        }
+        if (settings.searchEngines) {
+            rows.push(`${settings.searchEngines.length} search engines`);
+        }
+        const otherKeys = Object.keys(settings).filter(key =>
+            !['customShortcuts', 'muteFilters', 'categoryKeywords', 'searchEngines'].includes(key));
+        if (otherKeys.length > 0) {
+            rows.push(`Preferences: ${otherKeys.map(key => SETTINGS_EXPORT_LABELS[key] || key).join(', ')}`);
+        }
+
+        document.getElementById('importPreviewTitle').textContent =
+            `${isBookmarks ? 'Bookmarks' : 'Settings'} from ${fileName}`;
+        document.getElementById('importReplaceLabel').textContent = isBookmarks
+            ? 'Replace my shortcuts'
+            : 'Replace my settings (ones not in the file go back to defaults)';
+        document.getElementById('importPreviewList').innerHTML = [
+            ...rows.map(row => `<li>${this.escapeHtml(row)}</li>`),
+            ...warnings.map(warning => `<li class="import-warning">${this.escapeHtml(warning)}</li>`)
+        ].join('');
+        preview.style.display = 'block';
+    }
+
+    clearImportPreview() {
+        this.pendingImport = null;
+        const preview = document.getElementById('importPreview');
+        if (preview) {
+            preview.style.display = 'none';
+        }
+    }
+
+    // Merge adds to lists (shortcuts, filters, keywords, engines) and keeps your own
+    // preferences; replace makes your settings match the file, resetting the ones it
+    // leaves out to their defaults (a bookmarks file only replaces the shortcuts)
+    async applyPendingImport() {
+        if (!this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+        const imported = this.pendingImport.settings;
+
+        try {
+            const current = await chrome.storage.sync.get(SETTINGS_EXPORT_KEYS);
+            const settings = mode === 'replace' ? imported : this.mergeImportedSettings(current, imported);
+
+            if (settings.customShortcuts &&
+                JSON.stringify(settings.customShortcuts).length > chrome.storage.sync.QUOTA_BYTES_PER_ITEM - 64) {
+                this.showErrorMessage('Too many shortcuts to sync. Remove some and try again.');
+                return;
+            }
+
+            await chrome.storage.sync.set(settings);
+            if (mode === 'replace' && !this.pendingImport.isBookmarks) {
+                const missingKeys = SETTINGS_EXPORT_KEYS.filter(key => settings[key] === undefined);
+                await chrome.storage.sync.remove(missingKeys);
+            }
+            this.clearImportPreview();
+            await this.reloadImportedSettings();
+            this.showSuccessMessage('Settings imported!');
+        } catch (error) {
+            console.error('Failed to import settings:', error);
+            this.showErrorMessage('Failed to import settings. Please try again.');
+        }
+    }
+
+    mergeImportedSettings(current, imported) {
+        const union = (a = [], b = []) => [...new Set([...a, ...b])];
+        const merged = {};
+
+        if (imported.customShortcuts) {
+            merged.customShortcuts = this.mergeShortcuts(current.customShortcuts || [], imported.customShortcuts);
+        }
+        if (imported.muteFilters) {
+            const filters = { ...DEFAULT_MUTE_FILTERS, ...(current.muteFilters || {}) };
+            merged.muteFilters = {
+                keywords: union(filters.keywords, imported.muteFilters.keywords),
+                domains: union(filters.domains, imported.muteFilters.domains),
+                users: union(filters.users, imported.muteFilters.users)
+            };
+        }
+        if (imported.categoryKeywords) {
+            const keywords = { ...DEFAULT_CATEGORY_KEYWORDS, ...(current.categoryKeywords || {}) };
+            merged.categoryKeywords = { ...keywords };
+            Object.entries(imported.categoryKeywords).forEach(([category, words]) => {
+                merged.categoryKeywords[category] = union(keywords[category], words);
+            });
+        }
+        if (imported.searchEngines) {
+            const engines = current.searchEngines?.length ? current.searchEngines : DEFAULT_SEARCH_ENGINES;
+            merged.searchEngines = [
+                ...engines,
+                ...imported.searchEngines.filter(engine => !engines.some(existing => existing.bang === engine.bang))
+            ];
+        }
+
+        // Preferences only fill in what hasn't been set yet
+        Object.keys(imported).forEach(key => {
+            if (!(key in merged) && current[key] === undefined) {
+                merged[key] = imported[key];
+            }
+        });
+        return merged;
+    }
+
+    // Add imported shortcuts that aren't already there; folders with the same name are combined
+    mergeShortcuts(currentShortcuts, importedShortcuts) {
+        const merged = this.cloneShortcuts(currentShortcuts);
+        const knownUrls = new Set(this.flattenShortcuts(merged).map(shortcut => shortcut.url));
+        const isNew = (shortcut) => {
+            if (knownUrls.has(shortcut.url)) return false;
+            knownUrls.add(shortcut.url);
+            return true;
+        };
+
+        importedShortcuts.forEach(item => {
+            if (item.type !== 'folder') {
+                if (isNew(item)) merged.push(item);
+                return;
+            }
+
+            const children = item.children.filter(isNew);
+            if (children.length === 0) return;
+
+            const folder = merged.find(existing => existing.type === 'folder' && existing.name.toLowerCase() === item.name.toLowerCase());
+            if (folder) {
+                folder.children.push(...children);
+            } else {
+                merged.push({ ...item, children });
+            }
+        });
+        return merged;
+    }
+
+    // Pick up imported settings without reloading the page
+    async reloadImportedSettings() {
+        const previousFeed = this.currentFeed;
+        await this.loadSettings();
+        await this.loadReadState();
+        await this.loadCustomShortcuts();
+        await this.loadSelectedFeed();
+
+        if (this.currentFeed !== previousFeed) {
+            await this.loadStories();
+        } else if (this.stories.length > 0) {
+            this.displayStories();
+        }
+    }
+
+    // ==================== SEARCH ENGINE METHODS ====================
+
+    // Load the user's search engines and default engine from sync storage
+    async loadSearchEngines() {
+        try {
+            const result = await chrome.storage.sync.get(['searchEngines', 'defaultSearchEngine']);
+            this.searchEngines = Array.isArray(result.searchEngines) && result.searchEngines.length > 0
+                ? result.searchEngines
+                : [...DEFAULT_SEARCH_ENGINES];
+            this.defaultSearchEngine = result.defaultSearchEngine || DEFAULT_SEARCH_ENGINE;
+        } catch (error) {
+            console.error('Failed to load search engines:', error);
+        }
+
+        const searchEnginesInput = document.getElementById('searchEnginesInput');
+        if (searchEnginesInput) {
+            searchEnginesInput.value = this.searchEngines
+                .map(engine => `${engine.name} | ${engine.bang} | ${engine.url}`)
+                .join('\n');
+        }
+        this.updateDefaultEngineOptions(this.defaultSearchEngine);
+    }
+
+    // Read search engines from the settings textarea ("Name | bang | URL with %s", one per line)
+    readSearchEngineInputs() {
+        const input = document.getElementById('searchEnginesInput');
+        const engines = [];
+        const invalidLines = [];
+        if (!input) return { engines: this.searchEngines, invalidLines };
+
+        input.value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const [name, bang, url] = line.split('|').map(part => (part || '').trim());
+            const cleanBang = (bang || '').replace(/^!/, '').toLowerCase();
+
+            if (!name || !/^[a-z0-9]+$/.test(cleanBang) || !/^https?:\/\/.+%s/i.test(url || '')) {
+                invalidLines.push(line);
+            } else if (!engines.some(engine => engine.bang === cleanBang)) {
+                engines.push({ name, bang: cleanBang, url });
+            }
+        });
+
+        return { engines, invalidLines };
+    }
+
+    // Fill the default engine select from the engines currently in the textarea
+    updateDefaultEngineOptions(preferred = null) {
+        const select = document.getElementById('defaultEngineSelect');
+        if (!select) return;
+
+        const { engines } = this.readSearchEngineInputs();
+        const selected = preferred || select.value || this.defaultSearchEngine;
+        select.innerHTML = engines
+            .map(engine => `<option value="${this.escapeHtml(engine.bang)}">${this.escapeHtml(engine.name)}</option>`)
+            .join('');
+        select.value = engines.some(engine => engine.bang === selected) ? selected : (engines[0]?.bang || '');
+    }
+
+    // Get the default engine, falling back to the first one if it was removed
+    getDefaultSearchEngine() {
+        return this.searchEngines.find(engine => engine.bang === this.defaultSearchEngine)
+            || this.searchEngines[0]
+            || DEFAULT_SEARCH_ENGINES[0];
+    }
+
+    // Work out where a query goes: a URL, a bang's engine, or the default engine.
+    // Returns { url, engine, terms } (engine is null for URLs).
+    resolveSearchTarget(query) {
+        const trimmed = query.trim();
+
+        // "!gh react hooks" or "react hooks !gh"
+        const bangMatch = trimmed.match(/^!(\S+)\s*(.*)$/) || trimmed.match(/^(.*?)\s+!(\S+)$/);
+        if (bangMatch) {
+            const [bang, terms] = trimmed.startsWith('!') ? [bangMatch[1], bangMatch[2]] : [bangMatch[2], bangMatch[1]];
+            const engine = this.searchEngines.find(e => e.bang === bang.toLowerCase());
+            if (engine) {
+                return { url: this.buildSearchUrl(engine, terms.trim()), engine, terms: terms.trim() };
+            }
+        }
+
+        // Something that looks like an address (including subdomains and paths)
+        const looksLikeAddress = /^([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?(\/\S*)?$/i.test(trimmed) || this.isValidUrl(trimmed);
+        if (!/\s/.test(trimmed) && looksLikeAddress) {
+            return { url: /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`, engine: null, terms: '' };
+        }
+
+        const engine = this.getDefaultSearchEngine();
+        return { url: this.buildSearchUrl(engine, trimmed), engine, terms: trimmed };
+    }
+
+    // Fill in an engine's URL template; an empty query goes to the engine's home page
+    buildSearchUrl(engine, terms) {
+        if (!terms) {
+            try {
+                return new URL(engine.url.replace(/%s/g, '')).origin;
+            } catch (error) {
+                return engine.url.replace(/%s/g, '');
+            }
+        }
+        return engine.url.replace(/%s/g, encodeURIComponent(terms));
+    }
+
+    // ==================== LOCAL SEARCH METHODS ====================
+
+    // Get the local search query for the input value, or null if it's a web search
+    getLocalSearchQuery(value) {
+        const trimmed = (value || '').trim();
+        if (trimmed.toLowerCase().startsWith(LOCAL_SEARCH_PREFIX)) {
+            return trimmed.slice(LOCAL_SEARCH_PREFIX.length).trim();
+        }
+        return this.localSearchMode ? trimmed : null;
+    }
+
+    // Switch the search bar between web and local search
+    toggleLocalSearchMode() {
+        const searchInput = document.getElementById('searchInput');
+        const localSearchBtn = document.getElementById('localSearchBtn');
+
+        this.localSearchMode = !this.localSearchMode;
+
+        if (localSearchBtn) {
+            localSearchBtn.classList.toggle('active', this.localSearchMode);
+        }
+        if (searchInput) {
+            if (!searchInput.dataset.webPlaceholder) {
+                searchInput.dataset.webPlaceholder = searchInput.placeholder;
+            }
+            searchInput.placeholder = this.localSearchMode
+                ? 'Search your stories, saved and read-later articles...'
+                : searchInput.dataset.webPlaceholder;
+            searchInput.focus();
+            searchInput.dispatchEvent(new Event('input'));
+        }
+    }
+
+    // Debounce local searches while typing
+    scheduleLocalSearch(query) {
+        clearTimeout(this.localSearchTimer);
+        this.localSearchTimer = setTimeout(() => this.runLocalSearch(query), 150);
+    }
+
+    // Search the local index and show the results under the search bar
+    async runLocalSearch(query) {
+        if (!query) {
+            this.localSearchResults = [];
+            this.renderLocalSearchResults('', []);
+            return;
+        }
+
+        const index = await this.getLocalIndex();
+
+        // Ignore results for a query the user has already typed past
+        const currentQuery = this.getLocalSearchQuery(document.getElementById('searchInput')?.value);
+        if (currentQuery !== query) return;
+
+        this.localSearchResults = this.searchLocalIndex(index, query);
+        this.renderLocalSearchResults(query, this.localSearchResults);
+    }
+
+    // Get the local index, rebuilding it when it's older than LOCAL_INDEX_TTL
+    async getLocalIndex() {
+        if (!this.localIndex || Date.now() - this.localIndex.builtAt > LOCAL_INDEX_TTL) {
+            this.localIndex = { docs: await this.buildLocalIndex(), builtAt: Date.now() };
+        }
+        return this.localIndex;
+    }
+
+    // Build one document per story from cached feeds, the item cache, visited stories and saved articles
+    async buildLocalIndex() {
+        const docs = new Map();
+        const addDoc = (id, fields, source) => {
+            if (!id || !fields.title) return;
+
+            const doc = docs.get(String(id)) || { id: String(id), sources: new Set(), extra: '' };
+            doc.title = doc.title || fields.title;
+            doc.url = doc.url || fields.url || `https://news.ycombinator.com/item?id=${id}`;
+            doc.by = doc.by || fields.by || '';
+            doc.score = Math.max(doc.score || 0, fields.score || 0);
+            doc.time = doc.time || fields.time || 0;
+            if (fields.extra) doc.extra += ` ${fields.extra}`;
+            doc.sources.add(source);
+            docs.set(doc.id, doc);
+        };
+
+        // Stories from every cached feed and the per-item cache
+        const [feedCaches, itemCache] = await Promise.all([
+            Promise.all(Object.keys(HN_FEEDS).map(feed => hnCache.getCachedStories(feed))),
+            hnCache.getItemCache()
+        ]);
+        const cachedStories = [
+            ...this.stories,
+            ...feedCaches.filter(cached => cached).flatMap(cached => hnCache.getAllStories(cached)),
+            ...Object.values(itemCache).map(entry => entry.item)
+        ];
+        cachedStories
+            .filter(story => story && (story.type === 'story' || story.type === 'job'))
+            .forEach(story => addDoc(story.id, story, 'feed'));
+
+        // Stories opened before
+        Object.entries(this.visitedStories).forEach(([id, visit]) => {
+            addDoc(id, { title: visit.title, url: visit.url, time: visit.visitedAt / 1000 }, 'read');
+        });
+
+        // Saved and read-later articles (only when signed in)
+        (await this.fetchAllArticles()).forEach(article => {
+            addDoc(article.storyId, {
+                title: article.title,
+                url: article.url,
+                by: article.author,
+                score: article.score,
+                time: new Date(article.savedAt).getTime() / 1000,
+                extra: [article.notes || '', ...(article.tags || [])].join(' ')
+            }, article.type);
+        });
+
+        // Pre-tokenize each field so searches only compare tokens
+        return [...docs.values()].map(doc => ({
+            ...doc,
+            domain: this.getStoryDomain(doc),
+            titleTokens: this.tokenizeSearchText(doc.title),
+            domainTokens: this.tokenizeSearchText(this.getStoryDomain(doc)),
+            byTokens: this.tokenizeSearchText(doc.by),
+            extraTokens: this.tokenizeSearchText(doc.extra)
+        }));
+    }
+
+    // Fetch all of the user's saved and read-later articles, or none when signed out
+    async fetchAllArticles() {
+        try {
+            const result = await chrome.storage.local.get(['userToken']);
+            if (!result.userToken) return [];
+
+            const response = await fetch(`http://localhost:3000/api/articles/all?limit=${ARTICLES_FETCH_LIMIT}`, {
+                headers: {
+                    'Authorization': `Bearer ${result.userToken}`
+                }
+            });
+            if (!response.ok) return [];
+
+            const data = await response.json();
+            return data.data?.articles || [];
+        } catch (error) {
+            console.warn('Failed to load articles:', error.message);
+            return [];
+        }
+    }
+
+    // Split text into lowercase word tokens
+    tokenizeSearchText(text) {
+        return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token);
+    }
+
+    // Rank documents matching every query token (prefix match), best first
+    searchLocalIndex(index, query) {
+        const queryTokens = this.tokenizeSearchText(query);
+        if (queryTokens.length === 0) return [];
+
+        // Whole-word matches count more than prefix matches
+        const fieldScore = (tokens, queryToken, weight) => {
+            if (tokens.includes(queryToken)) return weight;
+            return tokens.some(token => token.startsWith(queryToken)) ? weight / 2 : 0;
+        };
+
+        const results = [];
+        index.docs.forEach(doc => {
+            let score = 0;
+            for (const queryToken of queryTokens) {
+                const tokenScore = Math.max(
+                    fieldScore(doc.titleTokens, queryToken, 3),
+                    fieldScore(doc.domainTokens, queryToken, 2),
+                    fieldScore(doc.byTokens, queryToken, 1),
+                    fieldScore(doc.extraTokens, queryToken, 1)
+                );
+                if (tokenScore === 0) return;
+                score += tokenScore;
+            }
+
+            // Things the user kept or opened, and popular stories, rank higher on ties
+            if (doc.sources.has('saved') || doc.sources.has('read-later')) score += 1;
+            if (doc.sources.has('read')) score += 0.5;
+            score += Math.log10((doc.score || 0) + 1) * 0.5;
+
+            results.push({ doc, score });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_LOCAL_RESULTS)
+            .map(result => result.doc);
+    }
+
+    // Render local search results under the search bar
+    renderLocalSearchResults(query, results) {
+        const resultsContainer = document.getElementById('localSearchResults');
+        if (!resultsContainer) return;
+
+        if (!query) {
+            resultsContainer.innerHTML = '<div class="local-search-empty">Search stories from your feeds, saved and read-later articles, and stories you\'ve read</div>';
+        } else if (results.length === 0) {
+            resultsContainer.innerHTML = `<div class="local-search-empty">No local results for "${this.escapeHtml(query)}"</div>`;
+        } else {
+            const queryTokens = this.tokenizeSearchText(query);
+            resultsContainer.innerHTML = results.map((doc, index) => `
+                <a class="local-search-result" href="${this.escapeHtml(this.getSafeUrl(doc.url)).replace(/"/g, '&quot;')}" data-index="${index}">
+                    <div class="local-search-title">${this.highlightSearchTokens(doc.title, queryTokens)}</div>
+                    <div class="local-search-meta">
+                        ${[...doc.sources].map(source => `<span class="local-search-badge ${source}">${LOCAL_SOURCE_LABELS[source]}</span>`).join('')}
+                        ${doc.domain ? `<span>${this.escapeHtml(doc.domain)}</span>` : ''}
+                        ${doc.score ? `<span>${doc.score} points</span>` : ''}
+                        ${doc.time ? `<span>${this.formatTimeAgo(doc.time)}</span>` : ''}
+                    </div>
+                </a>
+            `).join('');
+
+            resultsContainer.querySelectorAll('.local-search-result').forEach(link => {
+                link.addEventListener('click', () => {
+                    this.recordLocalResultVisit(this.localSearchResults[link.getAttribute('data-index')]);
+                });
+            });
+        }
+
+        resultsContainer.classList.add('active');
+    }
+
+    // Hide local search results
+    hideLocalSearchResults() {
+        clearTimeout(this.localSearchTimer);
+        const resultsContainer = document.getElementById('localSearchResults');
+        if (resultsContainer) {
+            resultsContainer.classList.remove('active');
+        }
+    }
+
+    // Open a local search result in this tab
+    openLocalSearchResult(index) {
+        const doc = this.localSearchResults[index];
+        if (!doc) return;
+
+        this.recordLocalResultVisit(doc);
+        window.location.href = this.getSafeUrl(doc.url);
+    }
+
+    // Mark an opened result as read if it's an HN story
+    recordLocalResultVisit(doc) {
+        if (doc && /^\d+$/.test(doc.id)) {
+            this.markStoryVisited({ id: doc.id, title: doc.title, url: doc.url });
+        }
+    }
+
+    // Only follow http(s) links from stored data
+    getSafeUrl(url) {
+        return /^https?:\/\//i.test(url || '') ? url : '#';
+    }
 
-        // Clear existing ripples
-        ripplesContainer.innerHTML = '';
+    // Escape text and wrap words starting with a query token in <mark>
+    highlightSearchTokens(text, queryTokens) {
+        const rawText = text || '';
+        if (queryTokens.length === 0) return this.escapeHtml(rawText);
 
-        // Create 3 ripples
-        for (let i = 0; i < 3; i++) {
-            const ripple = document.createElement('div');
-            ripple.className = 'energy-ripple';
-            ripple.style.animationDelay = `${i * 0.7}s`;
-            ripplesContainer.appendChild(ripple);
+        // Match on the raw text so a token like "amp" can't land inside an escaped entity
+        const pattern = new RegExp(`\\b(${queryTokens.map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        const ranges = [...rawText.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+        return this.renderHighlightedText(rawText, ranges);
+    }
+
+    // ==================== SHORTCUT ORGANIZATION METHODS ====================
+
+    // Read the stored shortcut tree: shortcuts and { type: 'folder', children } entries in grid order
+    async getCustomShortcuts() {
+        const result = await chrome.storage.sync.get(['customShortcuts']);
+        return Array.isArray(result.customShortcuts) ? result.customShortcuts : [];
+    }
+
+    // Persist the order and hierarchy, then redraw the grid from it
+    async saveCustomShortcuts(customShortcuts) {
+        await chrome.storage.sync.set({ customShortcuts });
+        this.customShortcuts = customShortcuts;
+        this.renderCustomShortcuts();
+    }
+
+    // Replace the custom cards in the grid, keeping an open folder popover in step
+    renderCustomShortcuts() {
+        document.querySelectorAll('.shortcuts-grid .shortcut-card[data-shortcut-id]').forEach(card => card.remove());
+        this.customShortcuts.forEach(shortcut => this.addShortcutToUI(shortcut));
+
+        const popover = document.getElementById('shortcutFolderPopover');
+        if (popover) {
+            const folderCard = document.querySelector(`.shortcuts-grid [data-shortcut-id="${popover.dataset.folderId}"]`);
+            if (folderCard) {
+                this.openShortcutFolder(popover.dataset.folderId, folderCard);
+            } else {
+                this.closeShortcutFolder();
+            }
         }
     }
 
-    // Show search suggestions
-    showSearchSuggestions(query, suggestions) {
-        const suggestionsContainer = document.getElementById('searchSuggestions');
-        if (!suggestionsContainer) return;
+    // Shortcuts with folders expanded in place
+    flattenShortcuts(customShortcuts) {
+        return customShortcuts.flatMap(item => item.type === 'folder' ? item.children : [item]);
+    }
 
-        const filteredSuggestions = suggestions.filter(s => 
-            s.toLowerCase().includes(query.toLowerCase())
-        ).slice(0, 3);
+    cloneShortcuts(customShortcuts) {
+        return customShortcuts.map(item => item.type === 'folder'
+            ? { ...item, children: item.children.map(child => ({ ...child })) }
+            : { ...item });
+    }
 
-        if (filteredSuggestions.length === 0) {
-            this.hideSearchSuggestions();
-            return;
+    // Locate an item at the top level or inside a folder
+    findShortcutItem(customShortcuts, id) {
+        const key = String(id);
+        for (let index = 0; index < customShortcuts.length; index++) {
+            const item = customShortcuts[index];
+            if (String(item.id) === key) {
+                return { item, container: customShortcuts, index, folder: null };
+            }
+            if (item.type === 'folder') {
+                const childIndex = item.children.findIndex(child => String(child.id) === key);
+                if (childIndex !== -1) {
+                    return { item: item.children[childIndex], container: item.children, index: childIndex, folder: item };
+                }
+            }
         }
+        return null;
+    }
 
-        suggestionsContainer.innerHTML = '';
-        
-        filteredSuggestions.forEach((suggestion, index) => {
-            const suggestionElement = document.createElement('div');
-            suggestionElement.className = 'search-suggestion';
-            suggestionElement.style.animationDelay = `${index * 0.1}s`;
-            
-            suggestionElement.innerHTML = `
-                <svg class="search-suggestion-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M9.5 2A2.5 2.5 0 0 1 12 4.5v15a2.5 2.5 0 0 1-4.96.44 2.5 2.5 0 0 1-2.96-3.08 3 3 0 0 1 .34-4.58 2.5 2.5 0 0 1 1.32-4.24 2.5 2.5 0 0 1 1.98-3A2.5 2.5 0 0 1 9.5 2Z"></path>
-                    <path d="M14.5 2A2.5 2.5 0 0 0 12 4.5v15a2.5 2.5 0 0 0 4.96.44 2.5 2.5 0 0 0 2.96-3.08 3 3 0 0 0-.34-4.58 2.5 2.5 0 0 0-1.32-4.24 2.5 2.5 0 0 0-1.98-3A2.5 2.5 0 0 0 14.5 2Z"></path>
-                </svg>
-                <span>${suggestion}</span>
-            `;
+    // Remove an item from wherever it is and return where it was
+    detachShortcutItem(customShortcuts, id) {
+        const found = this.findShortcutItem(customShortcuts, id);
+        if (found) {
+            found.container.splice(found.index, 1);
+        }
+        return found;
+    }
 
-            suggestionElement.addEventListener('click', () => {
-                document.getElementById('searchInput').value = suggestion;
-                this.performSearch(suggestion);
-                this.hideSearchSuggestions();
-            });
+    removeEmptyFolders(customShortcuts) {
+        return customShortcuts.filter(item => item.type !== 'folder' || item.children.length > 0);
+    }
 
-            suggestionsContainer.appendChild(suggestionElement);
+    // Drag a card before/after another, into a folder, or onto a shortcut to make a folder
+    setupShortcutDrag(card, shortcut) {
+        card.draggable = true;
+
+        card.addEventListener('dragstart', (e) => {
+            this.draggedShortcutId = String(shortcut.id);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(shortcut.id));
+            card.classList.add('dragging');
         });
 
-        suggestionsContainer.classList.add('active');
+        card.addEventListener('dragend', () => {
+            this.draggedShortcutId = null;
+            card.classList.remove('dragging');
+            this.clearShortcutDropMarkers();
+        });
+
+        card.addEventListener('dragover', (e) => {
+            const position = this.getShortcutDropPosition(e, card, shortcut);
+            if (!position) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.clearShortcutDropMarkers();
+            card.classList.add(`drop-${position}`);
+        });
+
+        card.addEventListener('dragleave', () => {
+            card.classList.remove('drop-before', 'drop-after', 'drop-into');
+        });
+
+        card.addEventListener('drop', (e) => {
+            const position = this.getShortcutDropPosition(e, card, shortcut);
+            if (!position) return;
+
+            e.preventDefault();
+            this.moveShortcut(this.draggedShortcutId, shortcut.id, position);
+        });
     }
 
-    // Hide search suggestions
-    hideSearchSuggestions() {
-        const suggestionsContainer = document.getElementById('searchSuggestions');
-        if (suggestionsContainer) {
-            suggestionsContainer.classList.remove('active');
-        }
+    // Dropping on the add button moves a shortcut to the end of the grid
+    setupShortcutEndDropTarget(addButton) {
+        addButton.addEventListener('dragover', (e) => {
+            if (!this.draggedShortcutId) return;
+            e.preventDefault();
+            this.clearShortcutDropMarkers();
+            addButton.classList.add('drop-before');
+        });
+
+        addButton.addEventListener('dragleave', () => {
+            addButton.classList.remove('drop-before');
+        });
+
+        addButton.addEventListener('drop', (e) => {
+            if (!this.draggedShortcutId) return;
+            e.preventDefault();
+            this.moveShortcut(this.draggedShortcutId, null, 'end');
+        });
     }
 
-    // Handle voice search
-    handleVoiceSearch() {
-        const voiceBtn = document.getElementById('voiceBtn');
-        const searchInput = document.getElementById('searchInput');
-        
-        // Check if browser supports speech recognition
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            this.showNotification('Voice search not supported in this browser', 'error');
-            return;
+    // The middle of a grid card groups, its edges reorder; folders never nest
+    getShortcutDropPosition(e, card, target) {
+        if (!this.draggedShortcutId || this.draggedShortcutId === String(target.id)) return null;
+
+        const dragged = this.findShortcutItem(this.customShortcuts, this.draggedShortcutId);
+        if (!dragged) return null;
+
+        const draggingFolder = dragged.item.type === 'folder';
+        const inPopover = Boolean(card.closest('.shortcut-folder-popover'));
+        if (inPopover && draggingFolder) return null;
+
+        const rect = card.getBoundingClientRect();
+        const offset = (e.clientX - rect.left) / rect.width;
+        if (!inPopover && !draggingFolder && offset > 0.3 && offset < 0.7) {
+            return 'into';
         }
+        return offset < 0.5 ? 'before' : 'after';
+    }
 
-        // Create speech recognition instance
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        const recognition = new SpeechRecognition();
-        
-        recognition.continuous = false;
-        recognition.interimResults = false;
-        recognition.lang = 'en-US';
+    clearShortcutDropMarkers() {
+        document.querySelectorAll('.drop-before, .drop-after, .drop-into').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after', 'drop-into');
+        });
+    }
 
-        // Add visual feedback - listening state
-        if (voiceBtn) {
-            voiceBtn.style.background = 'rgba(239, 68, 68, 0.2)';
-            voiceBtn.style.animation = 'voicePulse 1s ease-in-out infinite';
+    async moveShortcut(draggedId, targetId, position) {
+        const customShortcuts = this.cloneShortcuts(this.customShortcuts);
+        const dragged = this.detachShortcutItem(customShortcuts, draggedId);
+        if (!dragged) return;
+
+        if (position === 'end') {
+            customShortcuts.push(dragged.item);
+        } else if (position === 'into') {
+            const targetIndex = customShortcuts.findIndex(item => String(item.id) === String(targetId));
+            const target = customShortcuts[targetIndex];
+            if (!target) return;
+
+            if (target.type === 'folder') {
+                target.children.push(dragged.item);
+            } else {
+                customShortcuts.splice(targetIndex, 1, {
+                    id: Date.now(),
+                    type: 'folder',
+                    name: 'Folder',
+                    children: [target, dragged.item]
+                });
+            }
+        } else {
+            const target = this.findShortcutItem(customShortcuts, targetId);
+            if (!target) return;
+            target.container.splice(target.index + (position === 'after' ? 1 : 0), 0, dragged.item);
+        }
+
+        try {
+            await this.saveCustomShortcuts(this.removeEmptyFolders(customShortcuts));
+        } catch (error) {
+            console.error('Failed to reorder shortcuts:', error);
+            this.showNotification('Could not save the new shortcut order', 'error');
         }
+    }
 
-        // Show listening notification
-        this.showNotification('🎤 Listening... Speak now!', 'info');
+    // Show a folder's shortcuts in a popover below its card
+    openShortcutFolder(folderId, anchorCard) {
+        this.closeShortcutFolder();
 
-        recognition.onresult = (event) => {
-            const transcript = event.results[0][0].transcript;
-            if (searchInput) {
-                searchInput.value = transcript;
-                this.toggleEnterButton(transcript); // Show Enter button
+        const found = this.findShortcutItem(this.customShortcuts, folderId);
+        if (!found || found.item.type !== 'folder') return;
+
+        const popover = document.createElement('div');
+        popover.id = 'shortcutFolderPopover';
+        popover.className = 'shortcut-folder-popover';
+        popover.dataset.folderId = String(folderId);
+        popover.innerHTML = `
+            <div class="folder-popover-header">
+                <span class="folder-popover-title">${this.escapeHtml(found.item.name)}</span>
+                <button class="folder-popover-close" title="Close folder">&times;</button>
+            </div>
+            <div class="folder-popover-grid"></div>
+        `;
+
+        const grid = popover.querySelector('.folder-popover-grid');
+        found.item.children.forEach(child => grid.appendChild(this.createShortcutCard(child)));
+        popover.querySelector('.folder-popover-close').addEventListener('click', () => this.closeShortcutFolder());
+        document.body.appendChild(popover);
+
+        const rect = anchorCard.getBoundingClientRect();
+        const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+        popover.style.top = `${rect.bottom + window.scrollY + 8}px`;
+        popover.style.left = `${Math.max(8, left) + window.scrollX}px`;
+
+        // Close on clicks outside the popover and its folder card
+        this.folderOutsideClickHandler = (e) => {
+            if (!popover.contains(e.target) && !e.target.closest('.shortcut-folder')) {
+                this.closeShortcutFolder();
             }
-            this.showNotification(`🎤 Heard: "${transcript}" - Click Enter to search!`, 'success');
         };
+        document.addEventListener('mousedown', this.folderOutsideClickHandler);
+    }
 
-        recognition.onerror = (event) => {
-            this.showNotification('Voice search failed. Please try again.', 'error');
-            console.error('Speech recognition error:', event.error);
-        };
+    closeShortcutFolder() {
+        const popover = document.getElementById('shortcutFolderPopover');
+        if (popover) {
+            popover.remove();
+        }
+        if (this.folderOutsideClickHandler) {
+            document.removeEventListener('mousedown', this.folderOutsideClickHandler);
+            this.folderOutsideClickHandler = null;
+        }
+    }
 
-        recognition.onend = () => {
-            // Reset button state
-            if (voiceBtn) {
-                voiceBtn.style.background = 'transparent';
-                voiceBtn.style.animation = 'none';
+    // Swap a card for an inline form editing its name, and URL/icon for shortcuts
+    startShortcutEdit(card, shortcut) {
+        if (card.classList.contains('editing')) return;
+
+        const isFolder = shortcut.type === 'folder';
+        card.classList.add('editing');
+        card.draggable = false;
+        card.innerHTML = `
+            <form class="shortcut-edit-form">
+                <input type="text" class="shortcut-edit-name" maxlength="${MAX_SHORTCUT_NAME_LENGTH}" placeholder="Name" required>
+                ${isFolder ? '' : `
+                <input type="url" class="shortcut-edit-url" placeholder="https://example.com" required>
+                <select class="shortcut-edit-icon"></select>`}
+                <div class="shortcut-edit-actions">
+                    <button type="button" class="shortcut-edit-cancel">Cancel</button>
+                    <button type="submit" class="shortcut-edit-save">Save</button>
+                </div>
+            </form>
+        `;
+
+        const form = card.querySelector('.shortcut-edit-form');
+        const nameInput = form.querySelector('.shortcut-edit-name');
+        nameInput.value = shortcut.name;
+
+        if (!isFolder) {
+            form.querySelector('.shortcut-edit-url').value = shortcut.url;
+
+            // Offer the same icons as the add dialog, plus the current one if it came from a quick add
+            const iconSelect = form.querySelector('.shortcut-edit-icon');
+            iconSelect.innerHTML = document.getElementById('shortcutIcon')?.innerHTML || '<option value="default">Default</option>';
+            if (shortcut.icon && !iconSelect.querySelector(`option[value="${shortcut.icon}"]`)) {
+                iconSelect.add(new Option(shortcut.name, shortcut.icon));
             }
-        };
+            iconSelect.value = shortcut.icon || 'default';
+        }
+
+        form.addEventListener('click', (e) => e.stopPropagation());
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.renderCustomShortcuts();
+            }
+        });
+        form.querySelector('.shortcut-edit-cancel').addEventListener('click', () => this.renderCustomShortcuts());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveShortcutEdit(shortcut.id, form);
+        });
+
+        nameInput.focus();
+        nameInput.select();
+    }
+
+    async saveShortcutEdit(shortcutId, form) {
+        const name = form.querySelector('.shortcut-edit-name').value.trim();
+        const urlInput = form.querySelector('.shortcut-edit-url');
+        const changes = { name };
+
+        if (!name) {
+            alert('Please enter a name.');
+            return;
+        }
+
+        if (urlInput) {
+            const url = urlInput.value.trim();
+            try {
+                new URL(url);
+            } catch {
+                alert('Please enter a valid URL (e.g., https://example.com)');
+                return;
+            }
+            changes.url = url;
+            changes.icon = form.querySelector('.shortcut-edit-icon').value;
+        }
+
+        const customShortcuts = this.cloneShortcuts(this.customShortcuts);
+        const found = this.findShortcutItem(customShortcuts, shortcutId);
+        if (!found) return;
+        Object.assign(found.item, changes);
+        if (found.item.type !== 'folder') {
+            await this.requestFaviconAccess(found.item);
+            await this.cacheShortcutIcon(found.item);
+        }
 
-        // Start listening
         try {
-            recognition.start();
+            await this.saveCustomShortcuts(customShortcuts);
+            this.showSuccessMessage(`${name} updated successfully!`);
         } catch (error) {
-            this.showNotification('Could not start voice search', 'error');
-            if (voiceBtn) {
-                voiceBtn.style.background = 'transparent';
-                voiceBtn.style.animation = 'none';
-            }
+            alert('Failed to save shortcut. Please try again.');
         }
     }
 
-    // Handle camera search
-    handleCameraSearch() {
-        // Commented out for now - image upload functionality disabled
-        /*
-        const cameraBtn = document.getElementById('cameraBtn');
-        
-        // Add visual feedback - active state
-        if (cameraBtn) {
-            cameraBtn.style.background = 'rgba(34, 197, 94, 0.2)';
-            cameraBtn.style.animation = 'cameraPulse 1s ease-in-out infinite';
+    // ==================== SHORTCUT ICON METHODS ====================
+
+    // Hostname used to key cached icons, so shortcuts to the same site share one
+    getShortcutHost(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return null;
         }
+    }
 
-        // Create file input for image upload
-        const fileInput = document.createElement('input');
-        fileInput.type = 'file';
-        fileInput.accept = 'image/*';
-        fileInput.style.display = 'none';
+    // Built-in service icons win; otherwise the cached favicon or letter avatar
+    getShortcutIconHtml(shortcut) {
+        if (shortcut.icon && shortcut.icon !== 'default') {
+            return this.getIconSvg(shortcut.icon);
+        }
 
-        fileInput.onchange = (event) => {
-            const file = event.target.files[0];
-            if (file) {
-                this.processImageSearch(file);
+        const cached = this.shortcutIcons[this.getShortcutHost(shortcut.url)];
+        if (cached && cached.dataUrl.startsWith('data:image/')) {
+            return `<img class="shortcut-favicon" src="${cached.dataUrl}" alt="">`;
+        }
+        return this.getIconSvg('default');
+    }
+
+    async loadShortcutIcons() {
+        try {
+            const result = await chrome.storage.local.get(['shortcutIcons']);
+            this.shortcutIcons = result.shortcutIcons || {};
+        } catch (error) {
+            this.shortcutIcons = {};
+        }
+    }
+
+    // Fetch and store the icon for a new or edited shortcut; never throws
+    async cacheShortcutIcon(shortcut) {
+        const host = this.getShortcutHost(shortcut.url);
+        if (!host || (shortcut.icon && shortcut.icon !== 'default')) return;
+
+        try {
+            const icon = await this.resolveShortcutIcon(shortcut.url, shortcut.name, host);
+            this.shortcutIcons = { ...this.shortcutIcons, [host]: icon };
+            await chrome.storage.local.set({ shortcutIcons: this.shortcutIcons });
+        } catch (error) {
+            console.warn('Failed to cache shortcut icon:', error);
+        }
+    }
+
+    // Fill in icons for shortcuts saved before icons were cached, retry old letter
+    // avatars in case the site is reachable or in the history now, and drop unused entries
+    async refreshShortcutIcons() {
+        const shortcuts = this.flattenShortcuts(this.customShortcuts)
+            .filter(shortcut => !shortcut.icon || shortcut.icon === 'default');
+        const hosts = new Set(shortcuts.map(shortcut => this.getShortcutHost(shortcut.url)).filter(Boolean));
+        const now = Date.now();
+
+        const icons = {};
+        let changed = false;
+        for (const [host, icon] of Object.entries(this.shortcutIcons)) {
+            if (hosts.has(host)) {
+                icons[host] = icon;
+            } else {
+                changed = true;
             }
-            
-            // Reset button state
-            if (cameraBtn) {
-                cameraBtn.style.background = 'transparent';
-                cameraBtn.style.animation = 'none';
+        }
+
+        for (const shortcut of shortcuts) {
+            const host = this.getShortcutHost(shortcut.url);
+            const cached = host && icons[host];
+            if (!host || (cached && (cached.source === 'favicon' || now - cached.fetchedAt < FAVICON_RETRY_AGE))) {
+                continue;
             }
-        };
 
-        // Trigger file selection
-        document.body.appendChild(fileInput);
-        fileInput.click();
-        document.body.removeChild(fileInput);
+            try {
+                icons[host] = await this.resolveShortcutIcon(shortcut.url, shortcut.name, host);
+                changed = true;
+            } catch (error) {
+                console.warn('Failed to refresh shortcut icon:', error);
+            }
+        }
 
-        // Show instruction notification
-        this.showNotification('📷 Select an image to search', 'info');
-        */
-        
-        // Image search functionality removed
-        this.showNotification('📷 Image search feature coming soon!', 'info');
+        if (changed) {
+            this.shortcutIcons = icons;
+            await chrome.storage.local.set({ shortcutIcons: icons });
+            this.renderCustomShortcuts();
+        }
     }
 
-    // Perform search
-    performSearch(query) {
-        if (!query.trim()) return;
+    // Fetching a site's favicon needs access to its origin; call this from the click
+    // that saves the shortcut, since Chrome only prompts during a user gesture
+    async requestFaviconAccess(shortcut) {
+        if (shortcut.icon && shortcut.icon !== 'default') return false;
 
-        // Add search animation
-        const searchContainer = document.getElementById('crazySearchContainer');
-        if (searchContainer) {
-            searchContainer.style.transform = 'scale(0.98)';
-            setTimeout(() => {
-                searchContainer.style.transform = 'scale(1)';
-            }, 150);
+        try {
+            const { protocol, origin } = new URL(shortcut.url);
+            if (protocol !== 'https:' && protocol !== 'http:') return false;
+            return await chrome.permissions.request({ origins: [`${origin}/*`] });
+        } catch (error) {
+            return false;
         }
+    }
 
-        console.log('Performing search for:', query);
-        
-        // Show searching notification
-        this.showSearchNotification(`🔍 Searching for: ${query}`, 'info');
-        
-        // Construct search URL based on query type
-        let searchUrl;
-        
-        // Check if it's a URL
-        if (query.startsWith('http://') || query.startsWith('https://') || query.includes('.com') || query.includes('.org')) {
-            searchUrl = query.startsWith('http') ? query : `https://${query}`;
+    // The site's own favicon first; Chrome's favicon cache only knows sites in the
+    // history and answers with a generic globe otherwise, so fall back to a letter avatar
+    async resolveShortcutIcon(url, name, host) {
+        const siteFavicon = await this.fetchSiteFavicon(url);
+        if (siteFavicon) {
+            return { dataUrl: siteFavicon, source: 'favicon', fetchedAt: Date.now() };
         }
-        // Check for specific sites
-        else if (query.toLowerCase().includes('github')) {
-            searchUrl = `https://github.com/search?q=${encodeURIComponent(query)}`;
+
+        const [favicon, placeholder] = await Promise.all([
+            this.fetchFaviconDataUrl(url),
+            this.getPlaceholderFavicon()
+        ]);
+
+        if (favicon && favicon !== placeholder) {
+            return { dataUrl: favicon, source: 'favicon', fetchedAt: Date.now() };
+        }
+        return { dataUrl: this.createLetterAvatar(name, host), source: 'letter', fetchedAt: Date.now() };
+    }
+
+    // /favicon.ico, then the icon the page links to; null without host access
+    async fetchSiteFavicon(pageUrl) {
+        let page;
+        try {
+            page = new URL(pageUrl);
+        } catch {
+            return null;
         }
-        else if (query.toLowerCase().includes('stackoverflow') || query.toLowerCase().includes('stack overflow')) {
-            searchUrl = `https://stackoverflow.com/search?q=${encodeURIComponent(query)}`;
+        if (page.protocol !== 'https:' && page.protocol !== 'http:') return null;
+
+        const rootIcon = await this.fetchImageDataUrl(new URL('/favicon.ico', page.origin).href);
+        if (rootIcon) return rootIcon;
+
+        try {
+            const response = await fetch(page.href, { signal: AbortSignal.timeout(FAVICON_FETCH_TIMEOUT) });
+            if (!response.ok || !(response.headers.get('content-type') || '').includes('text/html')) return null;
+
+            const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+            const links = [...doc.querySelectorAll('link[rel][href]')]
+                .filter(link => link.getAttribute('rel').toLowerCase().split(/\s+/).includes('icon'));
+
+            for (const link of links) {
+                const iconUrl = new URL(link.getAttribute('href'), response.url || page.href);
+                if (iconUrl.protocol !== 'https:' && iconUrl.protocol !== 'http:') continue;
+                const icon = await this.fetchImageDataUrl(iconUrl.href);
+                if (icon) return icon;
+            }
+        } catch (error) {
+            // No host access, offline or not an HTML page
         }
-        else if (query.toLowerCase().includes('youtube')) {
-            searchUrl = `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`;
+        return null;
+    }
+
+    async fetchImageDataUrl(imageUrl) {
+        try {
+            const response = await fetch(imageUrl, { signal: AbortSignal.timeout(FAVICON_FETCH_TIMEOUT) });
+            if (!response.ok) return null;
+
+            const blob = await response.blob();
+            if (!blob.size || !blob.type.startsWith('image/')) return null;
+            return await this.blobToDataUrl(blob);
+        } catch (error) {
+            return null;
         }
-        else if (query.toLowerCase().includes('reddit')) {
-            searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(query)}`;
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Chrome's favicon cache for pages in the browser history
+    async fetchFaviconDataUrl(pageUrl) {
+        try {
+            const faviconUrl = new URL(chrome.runtime.getURL('/_favicon/'));
+            faviconUrl.searchParams.set('pageUrl', pageUrl);
+            faviconUrl.searchParams.set('size', String(FAVICON_SIZE));
+
+            const response = await fetch(faviconUrl.toString());
+            if (!response.ok) return null;
+
+            return await this.blobToDataUrl(await response.blob());
+        } catch (error) {
+            return null;
         }
-        // Default to Google search
-        else {
-            searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+    }
+
+    // The icon Chrome returns for an unknown page, fetched once per tab
+    getPlaceholderFavicon() {
+        if (!this.placeholderFavicon) {
+            this.placeholderFavicon = this.fetchFaviconDataUrl('https://placeholder.invalid/');
         }
-        
-        // Open search in new tab
-        setTimeout(() => {
-            window.open(searchUrl, '_blank', 'noopener,noreferrer');
-            this.showSearchNotification(`🚀 Opened search results for: ${query}`, 'success');
-        }, 500);
+        return this.placeholderFavicon;
     }
 
-    // Show search notification
-    showSearchNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        const leftPanel = document.querySelector('.left-column');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
-        notification.style.cssText = `
-            position: absolute;
-            top: 20px;
-            right: 20px;
-            background: linear-gradient(135deg, rgba(59, 130, 246, 0.9) 0%, rgba(37, 99, 235, 0.9) 100%);
-            color: white;
-            padding: 12px 20px;
-            border-radius: 12px;
-            border: 1px solid rgba(59, 130, 246, 0.3);
-            backdrop-filter: blur(12px);
-            z-index: 10000;
-            opacity: 0;
-            transform: translateX(100px);
-            transition: all 0.3s ease;
-            font-size: 14px;
-            font-weight: 600;
-            max-width: 280px;
-            box-shadow: 0 8px 24px rgba(59, 130, 246, 0.3);
-        `;
+    // Rounded square with the shortcut's first letter, coloured from its hostname
+    createLetterAvatar(name, host) {
+        const canvas = document.createElement('canvas');
+        canvas.width = FAVICON_SIZE;
+        canvas.height = FAVICON_SIZE;
+        const ctx = canvas.getContext('2d');
 
-        // Append to left panel instead of body
-        if (leftPanel) {
-            leftPanel.appendChild(notification);
-        } else {
-            document.body.appendChild(notification);
+        let hash = 0;
+        for (const char of host) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
         }
 
-        // Animate in
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+        ctx.fillStyle = `hsl(${hash % 360}, 55%, 45%)`;
+        ctx.beginPath();
+        ctx.roundRect(0, 0, FAVICON_SIZE, FAVICON_SIZE, FAVICON_SIZE / 4);
+        ctx.fill();
 
-        // Remove after delay
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transform = 'translateX(100px)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+        const letter = ((name || '').match(/[a-z0-9]/i) || host.replace(/^www\./, '').match(/[a-z0-9]/i) || ['?'])[0];
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `600 ${FAVICON_SIZE / 2}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(letter.toUpperCase(), FAVICON_SIZE / 2, FAVICON_SIZE / 2 + 2);
+
+        return canvas.toDataURL('image/png');
     }
 
     // ==================== CRAZY SHORTCUTS METHODS ====================
@@ -4129,59 +7446,19 @@ class NewTabHackerNewsReader {
         };
     }
 
-    // Create metrics cards
+    // Create metrics cards for the personal reading metrics; updateMetrics() fills them in
     createMetricsCards() {
         const metricsGrid = document.getElementById('metricsGrid');
         if (!metricsGrid) return;
 
-        const metrics = [
-            {
-                id: 'users',
-                title: 'Active Users',
-                value: '2.4K',
-                change: 12.5,
-                icon: '👥',
-                color: 'users',
-                trend: this.generateTrendData(20, 100, 300)
-            },
-            {
-                id: 'activity',
-                title: 'Page Views',
-                value: '15.2K',
-                change: -3.2,
-                icon: '📊',
-                color: 'activity',
-                trend: this.generateTrendData(20, 200, 500)
-            },
-            {
-                id: 'views',
-                title: 'Engagement',
-                value: '89%',
-                change: 8.1,
-                icon: '💬',
-                color: 'views',
-                trend: this.generateTrendData(20, 50, 100)
-            },
-            {
-                id: 'interactions',
-                title: 'Interactions',
-                value: '1.2K',
-                change: 15.3,
-                icon: '⚡',
-                color: 'interactions',
-                trend: this.generateTrendData(20, 80, 200)
-            }
-        ];
-
         metricsGrid.innerHTML = '';
 
-        metrics.forEach((metric, index) => {
+        READING_METRICS.forEach((metric, index) => {
             const card = document.createElement('div');
             card.className = 'metric-card';
             card.style.animationDelay = `${index * 0.1}s`;
-
-            const changeClass = metric.change >= 0 ? 'positive' : 'negative';
-            const changeIcon = metric.change >= 0 ? '↗' : '↘';
+            card.setAttribute('data-metric', metric.id);
+            card.setAttribute('data-color', metric.color);
 
             card.innerHTML = `
                 <div class="metric-card-bg">
@@ -4193,35 +7470,20 @@ class NewTabHackerNewsReader {
                             </div>
                             <span class="metric-title">${metric.title}</span>
                         </div>
-                        <div class="metric-change ${changeClass}">
-                            <span>${changeIcon}</span>
-                            <span>${Math.abs(metric.change)}%</span>
-                        </div>
-                    </div>
-                    <div class="metric-value">${metric.value}</div>
-                    <div class="metric-chart">
-                        ${this.createTrendChart(metric.trend, metric.color)}
+                        <div class="metric-change neutral"></div>
                     </div>
+                    <div class="metric-value">—</div>
+                    <div class="metric-chart"></div>
                 </div>
             `;
 
             metricsGrid.appendChild(card);
         });
-    }
 
-    // Generate trend data for charts
-    generateTrendData(points, min, max) {
-        const data = [];
-        for (let i = 0; i < points; i++) {
-            data.push({
-                x: i,
-                y: min + Math.random() * (max - min) + Math.sin(i * 0.3) * 20
-            });
-        }
-        return data;
+        this.updateMetrics();
     }
 
-    // Create trend chart SVG
+    // Create trend chart SVG. Counts start from zero so a quiet day sits at the bottom.
     createTrendChart(data, color) {
         if (!data || data.length === 0) return '';
 
@@ -4229,7 +7491,7 @@ class NewTabHackerNewsReader {
         const height = 48;
         const padding = 4;
 
-        const minY = Math.min(...data.map(d => d.y));
+        const minY = Math.min(0, ...data.map(d => d.y));
         const maxY = Math.max(...data.map(d => d.y));
         const rangeY = maxY - minY || 1;
 
@@ -4238,7 +7500,7 @@ class NewTabHackerNewsReader {
 
         const points = data.map((d, i) => {
             const x = padding + i * scaleX;
-            const y = padding + (maxY - d.y) * scaleY;
+            const y = maxY === minY ? height - padding : padding + (maxY - d.y) * scaleY;
             return `${x},${y}`;
         }).join(' ');
 
@@ -4268,51 +7530,220 @@ class NewTabHackerNewsReader {
 
     // Start data updates
     startDataUpdates() {
-        // Update metrics every 5 seconds
+        // Recompute every minute so "today" rolls over and article counts stay fresh
         setInterval(() => {
             this.updateMetrics();
-        }, 5000);
+        }, METRICS_REFRESH_INTERVAL);
+
+        // Other tabs (and this one) log activity as it happens
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes.dailyActivity) {
+                clearTimeout(this.metricsUpdateTimer);
+                this.metricsUpdateTimer = setTimeout(() => this.updateMetrics(), 500);
+            }
+        });
 
         // Update activity indicator
         this.updateActivityIndicator();
     }
 
-    // Update metrics with new data
-    updateMetrics() {
-        const metricValues = document.querySelectorAll('.metric-value');
-        metricValues.forEach((element, index) => {
-            const currentValue = element.textContent;
-            const newValue = this.generateNewMetricValue(currentValue, index);
-            
+    // Recompute the reading metrics and refresh the cards, animating values that changed
+    async updateMetrics() {
+        const metricsGrid = document.getElementById('metricsGrid');
+        if (!metricsGrid) return;
+
+        const metrics = await this.computeReadingMetrics();
+        metrics.forEach(metric => {
+            const card = metricsGrid.querySelector(`[data-metric="${metric.id}"]`);
+            if (!card) return;
+
+            const changeEl = card.querySelector('.metric-change');
+            changeEl.className = `metric-change ${metric.changeClass}`;
+            changeEl.textContent = metric.change;
+            card.querySelector('.metric-chart').innerHTML = this.createTrendChart(metric.trend, card.getAttribute('data-color'));
+
+            const element = card.querySelector('.metric-value');
+            if (element.textContent === metric.value) return;
+
             // Animate value change
             element.style.transform = 'scale(1.1)';
             element.style.color = '#60a5fa';
-            
+
             setTimeout(() => {
-                element.textContent = newValue;
+                element.textContent = metric.value;
                 element.style.transform = 'scale(1)';
                 element.style.color = '#ffffff';
             }, 150);
         });
     }
 
-    // Generate new metric value
-    generateNewMetricValue(currentValue, index) {
-        const metrics = [
-            { base: 2400, unit: 'K', range: 200 },
-            { base: 15200, unit: 'K', range: 1000 },
-            { base: 89, unit: '%', range: 5 },
-            { base: 1200, unit: 'K', range: 100 }
-        ];
+    // ==================== READING ANALYTICS METHODS ====================
 
-        const metric = metrics[index];
-        const newValue = metric.base + (Math.random() - 0.5) * metric.range;
-        
-        if (metric.unit === '%') {
-            return Math.round(newValue) + '%';
-        } else {
-            return (newValue / 1000).toFixed(1) + 'K';
+    // Local calendar day as YYYY-MM-DD, used to key the daily activity log
+    getDayKey(date = new Date()) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // The last `count` day keys, oldest first
+    getRecentDayKeys(count) {
+        const days = [];
+        for (let offset = count - 1; offset >= 0; offset--) {
+            const date = new Date();
+            date.setDate(date.getDate() - offset);
+            days.push(this.getDayKey(date));
+        }
+        return days;
+    }
+
+    // Daily activity log: { 'YYYY-MM-DD': { opened, saved, readLater, backlog } }
+    async getDailyActivity() {
+        try {
+            const result = await chrome.storage.local.get(['dailyActivity']);
+            return result.dailyActivity || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Apply a change to today's entry and keep only the most recent days. The
+    // read-modify-write holds a lock shared by every new tab, so concurrent counter
+    // bumps and backlog updates don't overwrite each other
+    updateDailyActivity(update) {
+        return navigator.locks.request('dailyActivity', async () => {
+            try {
+                const activity = await this.getDailyActivity();
+                const today = this.getDayKey();
+                activity[today] = update({ ...(activity[today] || {}) });
+
+                const recentDays = Object.keys(activity).sort().slice(-MAX_ACTIVITY_DAYS);
+                await chrome.storage.local.set({
+                    dailyActivity: Object.fromEntries(recentDays.map(day => [day, activity[day]]))
+                });
+            } catch (error) {
+                console.warn('Failed to update daily activity:', error);
+            }
+        });
+    }
+
+    // Bump one of today's counters (opened, saved, readLater)
+    recordDailyActivity(counter, amount = 1) {
+        return this.updateDailyActivity(day => ({ ...day, [counter]: (day[counter] || 0) + amount }));
+    }
+
+    // Articles for the metrics, cached for a few minutes; null when signed out
+    async getMetricsArticles() {
+        const result = await chrome.storage.local.get(['userToken']);
+        if (!result.userToken) return null;
+
+        if (!this.metricsArticles || Date.now() - this.metricsArticles.fetchedAt > METRICS_ARTICLES_TTL) {
+            this.metricsArticles = { articles: await this.fetchAllArticles(), fetchedAt: Date.now() };
+        }
+        return this.metricsArticles.articles;
+    }
+
+    // Drop cached articles after a save, move or delete so the cards catch up
+    invalidateMetricsArticles() {
+        this.metricsArticles = null;
+        this.updateMetrics();
+    }
+
+    // When a read-later article was read: its readAt, or the first time it was opened after saving
+    getReadLaterReadTime(article) {
+        if (article.readAt) return Date.parse(article.readAt);
+
+        const visit = this.visitedStories[article.storyId];
+        const savedAt = Date.parse(article.savedAt);
+        return visit && visit.visitedAt > savedAt ? visit.visitedAt : null;
+    }
+
+    // Build the metric cards' values, badges and 14-day trends
+    async computeReadingMetrics() {
+        const [activity, articles] = await Promise.all([this.getDailyActivity(), this.getMetricsArticles()]);
+        const days = this.getRecentDayKeys(METRICS_TREND_DAYS);
+        const today = days[days.length - 1];
+        const weekAgo = Date.now() - 7 * DAY_MS;
+        const signedIn = articles !== null;
+        const series = (field) => days.map((day, x) => ({ x, y: activity[day]?.[field] || 0 }));
+
+        // Stories opened
+        const openedToday = activity[today]?.opened || 0;
+        const openedThisWeek = days.slice(-7).reduce((sum, day) => sum + (activity[day]?.opened || 0), 0);
+
+        // Saved articles
+        const saved = (articles || []).filter(article => article.type === 'saved');
+        const savedThisWeek = saved.filter(article => Date.parse(article.savedAt) > weekAgo).length;
+
+        // Read-later backlog, snapshotted once a day so it has a trend too
+        const readLater = (articles || []).filter(article => article.type === 'read-later');
+        const readings = readLater
+            .map(article => ({ savedAt: Date.parse(article.savedAt), readAt: this.getReadLaterReadTime(article) }))
+            .filter(reading => reading.readAt);
+        const backlog = readLater.length - readings.length;
+        if (signedIn && activity[today]?.backlog !== backlog) {
+            activity[today] = { ...(activity[today] || {}), backlog };
+            await this.updateDailyActivity(day => ({ ...day, backlog }));
         }
+
+        // Carry the last known value over days without one
+        const carryForward = (values) => {
+            let last = 0;
+            return values.map((value, x) => {
+                if (value !== undefined) last = value;
+                return { x, y: last };
+            });
+        };
+        const backlogTrend = carryForward(days.map(day => activity[day]?.backlog));
+        const backlogChange = backlog - backlogTrend[days.length - 8].y;
+
+        // Average time from saving to reading, overall and per reading day
+        const averageHours = (list) => list.reduce((sum, reading) => sum + (reading.readAt - reading.savedAt), 0) / list.length / HOUR_MS;
+        const readTrend = carryForward(days.map(day => {
+            const onDay = readings.filter(reading => this.getDayKey(new Date(reading.readAt)) === day);
+            return onDay.length > 0 ? averageHours(onDay) : undefined;
+        }));
+
+        return [
+            {
+                id: 'opened',
+                value: String(openedToday),
+                change: `${openedThisWeek} this week`,
+                changeClass: 'neutral',
+                trend: series('opened')
+            },
+            {
+                id: 'saved',
+                value: signedIn ? String(saved.length) : '—',
+                change: signedIn ? `+${savedThisWeek} this week` : 'Sign in',
+                changeClass: savedThisWeek > 0 ? 'positive' : 'neutral',
+                trend: series('saved')
+            },
+            {
+                id: 'backlog',
+                value: signedIn ? String(backlog) : '—',
+                change: signedIn ? `${backlogChange > 0 ? '↗' : backlogChange < 0 ? '↘' : ''} ${Math.abs(backlogChange)} vs last week`.trim() : 'Sign in',
+                changeClass: backlogChange > 0 ? 'negative' : backlogChange < 0 ? 'positive' : 'neutral',
+                trend: backlogTrend
+            },
+            {
+                id: 'timeToRead',
+                value: readings.length > 0 ? this.formatReadDuration(averageHours(readings) * HOUR_MS) : '—',
+                change: `${readings.length} read`,
+                changeClass: 'neutral',
+                trend: readTrend
+            }
+        ];
+    }
+
+    // Format a duration as "45m", "3.5h" or "2d"
+    formatReadDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${Math.max(1, minutes)}m`;
+
+        const hours = ms / HOUR_MS;
+        if (hours < 48) return `${Number(hours.toFixed(1))}h`;
+
+        return `${Math.round(hours / 24)}d`;
     }
 
     // Update activity indicator
@@ -4553,76 +7984,99 @@ class NewTabHackerNewsReader {
         });
     }
 
-    // Start activity stream
+    // Start activity stream: the user's own recent actions, kept in chrome.storage.local
     startActivityStream() {
         const activityStream = document.getElementById('activityStream');
         if (!activityStream) return;
 
-        // Generate initial activities
-        this.generateActivityEvents();
+        const activityFilter = document.getElementById('activityFilter');
+        if (activityFilter) {
+            activityFilter.innerHTML = [
+                '<option value="all">All activity</option>',
+                ...Object.entries(ACTIVITY_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+            ].join('');
+            activityFilter.addEventListener('change', () => {
+                this.activityFilter = activityFilter.value;
+                this.renderActivityStream();
+            });
+        }
 
-        // Add new activities periodically
-        setInterval(() => {
-            this.addActivityEvent();
-        }, 3000);
-    }
+        const clearActivityBtn = document.getElementById('clearActivityBtn');
+        if (clearActivityBtn) {
+            clearActivityBtn.addEventListener('click', () => this.clearActivityLog());
+        }
 
-    // Generate initial activity events
-    generateActivityEvents() {
-        const activityStream = document.getElementById('activityStream');
-        if (!activityStream) return;
+        this.renderActivityStream();
 
-        const initialActivities = [
-            {
-                type: 'user-join',
-                message: 'New user joined the platform',
-                time: '2 minutes ago',
-                location: 'San Francisco, CA'
-            },
-            {
-                type: 'story-read',
-                message: 'User read "AI Breakthrough in Neural Networks"',
-                time: '5 minutes ago',
-                location: 'New York, NY'
-            },
-            {
-                type: 'comment',
-                message: 'New comment on "Quantum Computing Update"',
-                time: '8 minutes ago',
-                location: 'London, UK'
-            },
-            {
-                type: 'share',
-                message: 'Story shared on social media',
-                time: '12 minutes ago',
-                location: 'Tokyo, Japan'
+        // Pick up actions from this and other tabs, and keep "x minutes ago" current
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'local' && changes.activityLog) {
+                this.renderActivityStream();
             }
-        ];
+        });
+        setInterval(() => this.renderActivityStream(), 60 * 1000);
+    }
+
+    // Activity log, newest first: { type, at, title, url, ... }
+    async getActivityLog() {
+        try {
+            const result = await chrome.storage.local.get(['activityLog']);
+            return Array.isArray(result.activityLog) ? result.activityLog : [];
+        } catch (error) {
+            return [];
+        }
+    }
 
-        initialActivities.forEach(activity => {
-            this.addActivityEvent(activity);
+    // Append one of the ACTIVITY_TYPES events to the log. Appends from every new tab
+    // queue on one lock so events recorded close together don't overwrite each other
+    recordActivity(type, details = {}) {
+        return navigator.locks.request('activityLog', async () => {
+            try {
+                const log = await this.getActivityLog();
+                log.unshift({ type, at: Date.now(), ...details });
+                await chrome.storage.local.set({ activityLog: log.slice(0, MAX_ACTIVITY_EVENTS) });
+            } catch (error) {
+                console.warn('Failed to record activity:', error);
+            }
         });
     }
 
-    // Add activity event
-    addActivityEvent(activity = null) {
+    // Redraw the stream from the log, applying the type filter
+    async renderActivityStream() {
         const activityStream = document.getElementById('activityStream');
         if (!activityStream) return;
 
-        if (!activity) {
-            activity = this.generateRandomActivity();
+        const log = await this.getActivityLog();
+        const events = log
+            .filter(activity => this.activityFilter === 'all' || activity.type === this.activityFilter)
+            .slice(0, MAX_VISIBLE_ACTIVITY);
+
+        activityStream.innerHTML = '';
+        if (events.length === 0) {
+            activityStream.innerHTML = `<div class="activity-empty">${log.length === 0 ? 'Your activity will show up here' : 'No activity of this type yet'}</div>`;
+            return;
         }
 
+        // addActivityEvent puts each event on top, so add the oldest first
+        events.reverse().forEach(activity => this.addActivityEvent(activity));
+    }
+
+    // Add activity event to the top of the stream
+    addActivityEvent(activity) {
+        const activityStream = document.getElementById('activityStream');
+        if (!activityStream || !ACTIVITY_TYPES[activity.type]) return;
+
+        activityStream.querySelector('.activity-empty')?.remove();
+
         const eventDiv = document.createElement('div');
         eventDiv.className = 'activity-event';
         eventDiv.innerHTML = `
-            <div class="activity-event-icon ${activity.type}">
+            <div class="activity-event-icon ${ACTIVITY_TYPES[activity.type].className}">
                 <span>${this.getActivityIcon(activity.type)}</span>
             </div>
             <div class="activity-event-content">
-                <div class="activity-event-message">${activity.message}</div>
-                <div class="activity-event-time">${activity.time}</div>
-                ${activity.location ? `<div class="activity-event-location">${activity.location}</div>` : ''}
+                <div class="activity-event-message">${this.getActivityMessage(activity)}</div>
+                <div class="activity-event-time">${this.formatTimeAgo(activity.at / 1000)}</div>
             </div>
         `;
 
@@ -4631,108 +8085,50 @@ class NewTabHackerNewsReader {
 
         // Remove old events if too many
         const events = activityStream.querySelectorAll('.activity-event');
-        if (events.length > 10) {
+        if (events.length > MAX_VISIBLE_ACTIVITY) {
             events[events.length - 1].remove();
         }
     }
 
-    // Generate random activity
-    generateRandomActivity() {
-        const activities = [
-            {
-                type: 'user-join',
-                messages: [
-                    'New user joined the platform',
-                    'User registered for tech updates',
-                    'New member joined the community'
-                ],
-                locations: ['San Francisco, CA', 'New York, NY', 'London, UK', 'Tokyo, Japan', 'Berlin, Germany']
-            },
-            {
-                type: 'story-read',
-                messages: [
-                    'User read trending tech story',
-                    'Article viewed by new reader',
-                    'Story engagement increased'
-                ],
-                locations: ['Global', 'North America', 'Europe', 'Asia']
-            },
-            {
-                type: 'comment',
-                messages: [
-                    'New comment on tech discussion',
-                    'User engaged with article',
-                    'Community discussion started'
-                ],
-                locations: ['Online', 'Community Forum', 'Discussion Board']
-            },
-            {
-                type: 'share',
-                messages: [
-                    'Story shared on social media',
-                    'Article bookmarked by user',
-                    'Content shared with network'
-                ],
-                locations: ['Twitter', 'LinkedIn', 'Facebook', 'Reddit']
-            },
-            {
-                type: 'search',
-                messages: [
-                    'User searched for tech topics',
-                    'New search query processed',
-                    'Search trend detected'
-                ],
-                locations: ['Search Engine', 'Platform Search', 'Global']
-            },
-            {
-                type: 'bookmark',
-                messages: [
-                    'Article bookmarked for later',
-                    'User saved interesting story',
-                    'Content added to reading list'
-                ],
-                locations: ['Personal Library', 'Reading List', 'Bookmarks']
-            }
-        ];
+    // Describe an event, linking the story or shortcut it was about
+    getActivityMessage(activity) {
+        const title = activity.url
+            ? `<a href="${this.escapeHtml(this.getSafeUrl(activity.url)).replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(activity.title || activity.url)}</a>`
+            : this.escapeHtml(activity.title || '');
+
+        switch (activity.type) {
+            case 'story-opened':
+                return `Opened ${title}`;
+            case 'article-saved':
+                return activity.listType === 'read-later' ? `Added ${title} to read later` : `Saved ${title}`;
+            case 'read-later-completed':
+                return `Finished ${title}`;
+            case 'shortcut-added':
+                return `Added shortcut ${title}`;
+            case 'search':
+                return `Searched for "${this.escapeHtml(activity.query || '')}"`;
+            default:
+                return title;
+        }
+    }
 
-        const randomActivity = activities[Math.floor(Math.random() * activities.length)];
-        const randomMessage = randomActivity.messages[Math.floor(Math.random() * randomActivity.messages.length)];
-        const randomLocation = randomActivity.locations[Math.floor(Math.random() * randomActivity.locations.length)];
+    // Forget every recorded action
+    async clearActivityLog() {
+        if (!confirm('Clear your activity history?')) return;
 
-        return {
-            type: randomActivity.type,
-            message: randomMessage,
-            time: this.getRandomTimeAgo(),
-            location: randomLocation
-        };
+        try {
+            // Behind the same lock, so an append already in flight can't restore the old log
+            await navigator.locks.request('activityLog', () => chrome.storage.local.remove('activityLog'));
+            this.renderActivityStream();
+            this.showNotification('Activity cleared', 'success');
+        } catch (error) {
+            console.error('Failed to clear activity:', error);
+        }
     }
 
     // Get activity icon
     getActivityIcon(type) {
-        const icons = {
-            'user-join': '👤',
-            'story-read': '📖',
-            'comment': '💬',
-            'share': '📤',
-            'search': '🔍',
-            'bookmark': '🔖'
-        };
-        return icons[type] || '📊';
-    }
-
-    // Get random time ago
-    getRandomTimeAgo() {
-        const times = [
-            'Just now',
-            '1 minute ago',
-            '2 minutes ago',
-            '5 minutes ago',
-            '10 minutes ago',
-            '15 minutes ago',
-            '30 minutes ago',
-            '1 hour ago'
-        ];
-        return times[Math.floor(Math.random() * times.length)];
+        return ACTIVITY_TYPES[type]?.icon || '📊';
     }
 
     // Start system monitoring
@@ -4776,10 +8172,14 @@ class NewTabHackerNewsReader {
     // Setup enhanced right panel with advanced features
     setupEnhancedRightPanel() {
         this.setupPanelHeaderEffects();
+        this.setupFeedSwitcher();
         this.setupNewsTabs();
         this.setupNewsSorting();
+        this.setupInfiniteScroll();
+        this.setupReadTracking();
         this.setupPanelActions();
         this.setupNewsInteractions();
+        this.setupCommentThreadViewer();
         this.setupLoadingStates();
     }
 
@@ -4825,13 +8225,13 @@ class NewTabHackerNewsReader {
         }
         
         if (updateTime) {
-            const timeAgo = this.getTimeAgo();
+            const timeAgo = this.getPanelUpdateAge();
             updateTime.textContent = timeAgo;
         }
     }
 
-    // Get time ago string
-    getTimeAgo() {
+    // Short age of the last story fetch for the panel stats
+    getPanelUpdateAge() {
         const now = new Date();
         const lastUpdate = this.lastFetchTime || now;
         const diffMs = now - lastUpdate;
@@ -4845,66 +8245,47 @@ class NewTabHackerNewsReader {
         return `${diffDays}d`;
     }
 
-    // Setup news tabs (commented out since we simplified categorization)
+    // Setup feed switcher (Top / New / Best / Ask / Show / Jobs)
+    setupFeedSwitcher() {
+        const feedTabs = document.querySelectorAll('.feed-tab');
+        if (!feedTabs.length) return;
+
+        feedTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.switchFeed(tab.getAttribute('data-feed'));
+            });
+        });
+
+        this.updateFeedSwitcher();
+    }
+
+    // Setup news category tabs
     setupNewsTabs() {
-        // News tabs functionality commented out since we removed the tabs from HTML
-        // const tabs = document.querySelectorAll('.news-tab');
-        // if (!tabs.length) return;
-
-        // tabs.forEach(tab => {
-        //     tab.addEventListener('click', () => {
-        //         // Remove active class from all tabs
-        //         tabs.forEach(t => t.classList.remove('active'));
-        //         
-        //         // Add active class to clicked tab
-        //         tab.classList.add('active');
-        //         
-        //         // Filter stories based on category
-        //         const category = tab.getAttribute('data-category');
-        //         this.filterStoriesByCategory(category);
-        //     });
-        // });
-    }
-
-    // Filter stories by category (commented out since we simplified categorization)
+        const tabs = document.querySelectorAll('.news-tab');
+        if (!tabs.length) return;
+
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                // Remove active class from all tabs
+                tabs.forEach(t => t.classList.remove('active'));
+                
+                // Add active class to clicked tab
+                tab.classList.add('active');
+                
+                // Filter stories based on category
+                const category = tab.getAttribute('data-category');
+                this.filterStoriesByCategory(category);
+            });
+        });
+    }
+
+    // Filter stories by category - re-renders so paging only counts matching stories
     filterStoriesByCategory(category) {
-        // Category filtering functionality commented out since we removed the tabs
-        // const stories = document.querySelectorAll('.story');
-        // if (!stories.length) return;
-
-        // stories.forEach(story => {
-        //     const storyCategory = story.getAttribute('data-category') || 'all';
-        //     const isTrending = story.classList.contains('trending');
-        //     
-        //     let shouldShow = false;
-        //     
-        //     switch (category) {
-        //         case 'all':
-        //             shouldShow = true;
-        //             break;
-        //         case 'trending':
-        //             shouldShow = isTrending;
-        //             break;
-        //         case 'ai':
-        //             shouldShow = storyCategory === 'ai';
-        //             break;
-        //         case 'tech':
-        //             shouldShow = storyCategory === 'tech';
-        //             break;
-        //         case 'startup':
-        //             shouldShow = storyCategory === 'startup';
-        //             break;
-        //         default:
-        //             shouldShow = true;
-        //     }
-        //     
-        //     if (shouldShow) {
-        //         story.style.display = 'block';
-        //         story.style.animation = 'storySlideIn 0.5s ease-out';
-        //     } else {
-        //         story.style.display = 'none';
-        //     }
-        // });
+        this.activeCategory = category || 'all';
+        
+        if (this.stories.length > 0) {
+            this.displayStories();
+        }
     }
 
     // Setup news sorting
@@ -4918,37 +8299,27 @@ class NewTabHackerNewsReader {
         });
     }
 
-    // Sort stories
+    // Sort stories - re-renders the loaded pages (pages fetched later are merged into the sorted list)
     sortStories(sortBy) {
-        const storiesContainer = document.getElementById('stories');
-        if (!storiesContainer) return;
-
-        const stories = Array.from(storiesContainer.querySelectorAll('.story'));
-        
-        stories.sort((a, b) => {
-            switch (sortBy) {
-                case 'score':
-                    const scoreA = parseInt(a.getAttribute('data-score')) || 0;
-                    const scoreB = parseInt(b.getAttribute('data-score')) || 0;
-                    return scoreB - scoreA;
-                case 'time':
-                    const timeA = new Date(a.getAttribute('data-time') || 0);
-                    const timeB = new Date(b.getAttribute('data-time') || 0);
-                    return timeB - timeA;
-                case 'comments':
-                    const commentsA = parseInt(a.getAttribute('data-comments')) || 0;
-                    const commentsB = parseInt(b.getAttribute('data-comments')) || 0;
-                    return commentsB - commentsA;
-                default:
-                    return 0;
-            }
-        });
+        this.sortBy = sortBy;
+        
+        if (this.stories.length > 0) {
+            this.displayStories();
+        }
+    }
 
-        // Re-append sorted stories
-        stories.forEach((story, index) => {
-            storiesContainer.appendChild(story);
-            story.style.animation = `storySlideIn 0.5s ease-out ${index * 0.1}s both`;
-        });
+    // Compare two stories for the sort select
+    compareStories(a, b, sortBy) {
+        switch (sortBy) {
+            case 'score':
+                return (b.score || 0) - (a.score || 0);
+            case 'time':
+                return (b.time || 0) - (a.time || 0);
+            case 'comments':
+                return (b.descendants || 0) - (a.descendants || 0);
+            default:
+                return 0;
+        }
     }
 
     // Setup panel actions
@@ -4994,18 +8365,18 @@ class NewTabHackerNewsReader {
             this.showNotification('Refreshing stories...', 'info');
             
             // Clear cache to force fresh fetch
-            await hnCache.clearCache();
+            await hnCache.clearCache(this.currentFeed);
             console.log('Cache cleared, fetching fresh data...');
             
             // Add small delay to show loading state
             await new Promise(resolve => setTimeout(resolve, 500));
             
-            // Force fresh API call
-            const stories = await this.fetchStoriesWithRetry();
-            if (stories && stories.length > 0) {
-                await hnCache.saveStoriesToCache(stories);
-                this.stories = stories.slice(0, 20);
+            // Force fresh API call (the background worker caches the result)
+            const result = await this.fetchStoriesWithRetry();
+            if (result.stories.length > 0) {
+                this.setFirstPage(result.stories);
                 this.displayStories();
+                hnCache.updateDisplayTimestamp(result.timestamp);
                 this.showNotification('Stories refreshed successfully!', 'success');
                 console.log('Stories refreshed successfully');
             } else {
@@ -5137,8 +8508,9 @@ class NewTabHackerNewsReader {
         }
     }
 
-    // Show notification
-    showNotification(message, type = 'info') {
+    // Show notification, optionally with an action button (e.g. Undo).
+    // Returns a function that dismisses it early.
+    showNotification(message, type = 'info', { actionLabel = null, onAction = null, duration = 3000 } = {}) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
@@ -5146,6 +8518,7 @@ class NewTabHackerNewsReader {
             <div class="notification-content">
                 <span class="notification-icon">${this.getNotificationIcon(type)}</span>
                 <span class="notification-message">${message}</span>
+                ${actionLabel ? `<button class="notification-action">${this.escapeHtml(actionLabel)}</button>` : ''}
             </div>
         `;
         
@@ -5167,15 +8540,26 @@ class NewTabHackerNewsReader {
         
         document.body.appendChild(notification);
         
-        // Remove after 3 seconds
-        setTimeout(() => {
+        const dismiss = () => {
+            clearTimeout(hideTimer);
             notification.style.animation = 'notificationSlideOut 0.3s ease-out';
             setTimeout(() => {
                 if (notification.parentNode) {
                     notification.parentNode.removeChild(notification);
                 }
             }, 300);
-        }, 3000);
+        };
+        
+        if (actionLabel) {
+            notification.querySelector('.notification-action').addEventListener('click', () => {
+                dismiss();
+                if (onAction) onAction();
+            }, { once: true });
+        }
+        
+        // Remove after the duration (3 seconds by default)
+        const hideTimer = setTimeout(dismiss, duration);
+        return dismiss;
     }
 
     // Get notification icon
@@ -5190,14 +8574,15 @@ class NewTabHackerNewsReader {
     }
 }
 
-// Initialize the new tab page when it loads
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize the new tab page once the DOM is ready
+// (module scripts are deferred, so the DOM is usually parsed already)
+function initNewTab() {
     const reader = new NewTabHackerNewsReader();
     reader.setupMessageListener();
-});
+}
 
-// Also initialize if DOM is already loaded
-if (document.readyState === 'complete' || document.readyState === 'interactive') {
-    const reader = new NewTabHackerNewsReader();
-    reader.setupMessageListener();
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initNewTab);
+} else {
+    initNewTab();
 }
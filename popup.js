@@ -1,160 +1,38 @@
-// Cache Management Utilities
-class HackerNewsCache {
-    constructor() {
-        this.CACHE_DURATION = 30 * 60 * 1000; // 30 minutes in milliseconds
-        this.CACHE_KEY = 'hnCache';
-        this.CACHE_VERSION = '1.0';
-    }
-
-    // Check if cached data is still fresh (within 30 minutes)
-    isCacheFresh(timestamp) {
-        if (!timestamp) return false;
-        const now = Date.now();
-        return (now - timestamp) < this.CACHE_DURATION;
-    }
-
-    // Get cached stories from Chrome storage
-    async getCachedStories() {
-        try {
-            const result = await chrome.storage.local.get([this.CACHE_KEY]);
-            return result[this.CACHE_KEY] || null;
-        } catch (error) {
-            console.error('Failed to get cached stories:', error);
-            return null;
-        }
-    }
-
-    // Save stories to Chrome storage with timestamp
-    async saveStoriesToCache(stories) {
-        try {
-            const cacheData = {
-                stories: stories,
-                timestamp: Date.now(),
-                version: this.CACHE_VERSION
-            };
-            await chrome.storage.local.set({ [this.CACHE_KEY]: cacheData });
-            console.log('Stories cached successfully');
-        } catch (error) {
-            console.error('Failed to save stories to cache:', error);
-        }
-    }
-
-    // Check if cache exists and is valid
-    async hasValidCache() {
-        const cached = await this.getCachedStories();
-        return cached && this.isCacheFresh(cached.timestamp);
-    }
-
-    // Get cache age in minutes
-    getCacheAge(timestamp) {
-        if (!timestamp) return null;
-        const now = Date.now();
-        return Math.floor((now - timestamp) / (60 * 1000));
-    }
-
-    // Clear old cache data
-    async clearCache() {
-        try {
-            await chrome.storage.local.remove([this.CACHE_KEY]);
-            console.log('Cache cleared successfully');
-        } catch (error) {
-            console.error('Failed to clear cache:', error);
-        }
-    }
-
-    // Get cache info for debugging
-    async getCacheInfo() {
-        const cached = await this.getCachedStories();
-        if (!cached) {
-            return { exists: false };
-        }
-        
-        return {
-            exists: true,
-            isFresh: this.isCacheFresh(cached.timestamp),
-            age: this.getCacheAge(cached.timestamp),
-            storyCount: cached.stories ? cached.stories.length : 0,
-            version: cached.version,
-            timestamp: cached.timestamp
-        };
-    }
-
-    // Force refresh cache (bypass cache check)
-    async forceRefresh() {
-        try {
-            console.log('Force refreshing cache...');
-            await this.clearCache();
-            
-            // Trigger background refresh
-            chrome.runtime.sendMessage({ type: 'FORCE_REFRESH' });
-            
-            return true;
-        } catch (error) {
-            console.error('Failed to force refresh cache:', error);
-            return false;
-        }
-    }
-
-    // Check if cache is too old (more than 2 hours)
-    isCacheTooOld(timestamp) {
-        if (!timestamp) return true;
-        const now = Date.now();
-        const twoHours = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
-        return (now - timestamp) > twoHours;
-    }
-
-    // Auto-cleanup old cache
-    async autoCleanup() {
-        try {
-            const cached = await this.getCachedStories();
-            if (cached && this.isCacheTooOld(cached.timestamp)) {
-                console.log('Cache is too old, clearing...');
-                await this.clearCache();
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.error('Failed to auto-cleanup cache:', error);
-            return false;
-        }
-    }
-
-    // Get cache statistics
-    async getCacheStats() {
-        const info = await this.getCacheInfo();
-        if (!info.exists) {
-            return { status: 'No cache' };
-        }
-        
-        return {
-            status: info.isFresh ? 'Fresh' : 'Stale',
-            age: `${info.age} minutes`,
-            storyCount: info.stories,
-            lastUpdated: new Date(info.timestamp).toLocaleString(),
-            version: info.version
-        };
-    }
-}
-
-// Create a global instance
-const hnCache = new HackerNewsCache();
+import {
+    HN_FEEDS,
+    DEFAULT_FEED,
+    DEFAULT_MUTE_FILTERS,
+    hnCache,
+    loadMuteFilters,
+    isStoryMuted,
+    partitionMutedStories
+} from './cache.js';
 
 // This is like your React component logic, but in vanilla JavaScript
 class HackerNewsReader {
     constructor() {
         this.stories = [];
+        this.currentFeed = DEFAULT_FEED;
+        this.muteFilters = { ...DEFAULT_MUTE_FILTERS };
+        this.showMutedStories = false;
         this.init();
     }
 
     // Initialize the extension - like componentDidMount in React
     init() {
         this.setupEventListeners();
-        this.loadStories();
+        Promise.all([this.loadSelectedFeed(), this.loadMuteFilters()]).then(() => this.loadStories());
         this.loadSettings();
     }
 
     // Set up event listeners - like onClick handlers in React
     setupEventListeners() {
+        // Feed switcher
+        const feedSelect = document.getElementById('feedSelect');
+        feedSelect.addEventListener('change', (e) => {
+            this.switchFeed(e.target.value);
+        });
+
         // Force refresh button
         const forceRefreshBtn = document.getElementById('forceRefreshBtn');
         forceRefreshBtn.addEventListener('click', () => {
@@ -187,6 +65,13 @@ class HackerNewsReader {
             }
         });
 
+        // Reveal/hide muted stories
+        const toggleMutedBtn = document.getElementById('toggleMutedBtn');
+        toggleMutedBtn.addEventListener('click', () => {
+            this.showMutedStories = !this.showMutedStories;
+            this.displayStories();
+        });
+
         // Close modal with Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -195,82 +80,64 @@ class HackerNewsReader {
         });
     }
 
-    // Main function to load stories with cache-first approach
-    async loadStories() {
+    // Load the last feed the user picked (shared with the new tab page)
+    async loadSelectedFeed() {
         try {
-            // Step 1: Check cache first
-            const cached = await hnCache.getCachedStories();
-            
-            if (cached && hnCache.isCacheFresh(cached.timestamp)) {
-                // Cache is fresh - show immediately
-                console.log('Loading stories from cache (fresh data)');
-                this.stories = cached.stories.slice(0, 10); // Popup shows only 10 stories
-                this.displayStories();
-                return;
+            const result = await chrome.storage.sync.get(['selectedFeed']);
+            if (result.selectedFeed && HN_FEEDS[result.selectedFeed]) {
+                this.currentFeed = result.selectedFeed;
             }
-            
-            // Step 2: Cache is stale/empty - show loading and fetch
-            console.log('Cache is stale/empty, fetching fresh data...');
-            this.showLoading();
-            this.hideError();
+        } catch (error) {
+            // Feed loading failed, keep default
+        }
+        document.getElementById('feedSelect').value = this.currentFeed;
+    }
 
-            // Step 3: Get the list of top story IDs
-            const response = await fetch('https://hacker-news.firebaseio.com/v0/topstories.json');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const storyIds = await response.json();
+    // Load mute filters (managed from the new tab settings)
+    async loadMuteFilters() {
+        this.muteFilters = await loadMuteFilters();
+    }
 
-            // Step 4: Get details for the first 10 stories
-            const topStoryIds = storyIds.slice(0, 10);
-            
-            // Fetch stories one by one to avoid rate limiting
-            this.stories = [];
-            for (let i = 0; i < topStoryIds.length; i++) {
-                const storyId = topStoryIds[i];
-                const story = await this.fetchStoryDetails(storyId);
-                if (story) {
-                    this.stories.push(story);
-                }
-                // Small delay between requests
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-            
-            // Step 5: Save to cache and display
-            await hnCache.saveStoriesToCache(this.stories);
-            this.displayStories();
-            
+    // Switch to another feed - like changing a route param in React
+    async switchFeed(feed) {
+        if (!HN_FEEDS[feed] || feed === this.currentFeed) return;
+
+        this.currentFeed = feed;
+        try {
+            await chrome.storage.sync.set({ selectedFeed: feed });
         } catch (error) {
-            console.error('Failed to load stories:', error);
-            
-            // Step 6: If API fails, try to show stale cache
-            const cached = await hnCache.getCachedStories();
-            if (cached && cached.stories) {
-                console.log('API failed, showing stale cache data');
-                this.stories = cached.stories.slice(0, 10);
-                this.displayStories();
-                this.showStaleDataWarning();
-            } else {
-                this.showError();
-            }
+            // Not fatal - the feed just won't be remembered
         }
+        await this.loadStories();
     }
 
-    // Fetch individual story details - like a separate API call in your backend
-    async fetchStoryDetails(storyId) {
+    // Load stories through the background worker - like calling your API layer in React
+    // The worker answers from the shared cache when fresh, and falls back to stale cache on errors
+    async loadStories() {
+        // Only show the loading state if the answer isn't (almost) instant, i.e. not from cache
+        const loadingTimer = setTimeout(() => this.showLoading(), 300);
+        
         try {
-            const response = await fetch(`https://hacker-news.firebaseio.com/v0/item/${storyId}.json`);
+            this.hideError();
+            
+            const response = await chrome.runtime.sendMessage({ type: 'FETCH_STORIES', feed: this.currentFeed });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Unknown error from background script');
+            }
+            
+            console.log(`Loaded ${this.currentFeed} stories${response.fromCache ? ' from cache' : ''}`);
+            this.stories = [...response.stories, ...(response.mutedStories || [])]; // displayStories picks the first 10 visible
+            this.displayStories();
             
-            if (!response.ok) {
-                throw new Error(`Failed to fetch story ${storyId}`);
+            if (response.stale) {
+                this.showStaleDataWarning();
             }
             
-            const story = await response.json();
-            return story;
         } catch (error) {
-            return null;
+            console.error('Failed to load stories:', error);
+            this.showError();
+        } finally {
+            clearTimeout(loadingTimer);
         }
     }
 
@@ -286,8 +153,12 @@ class HackerNewsReader {
         // Clear previous stories
         storiesContainer.innerHTML = '';
         
-        // Filter out any null stories (failed fetches)
-        const validStories = this.stories.filter(story => story !== null);
+        // Filter out any null stories (failed fetches), then muted ones unless revealed
+        const { visible, muted } = partitionMutedStories(this.stories.filter(story => story !== null), this.muteFilters);
+        this.updateMutedIndicator(muted.length);
+        
+        // Popup shows only 10 stories
+        const validStories = (this.showMutedStories ? [...visible, ...muted] : visible).slice(0, 10);
         
         if (validStories.length === 0) {
             storiesContainer.innerHTML = '<div class="error">No stories found</div>';
@@ -301,10 +172,24 @@ class HackerNewsReader {
         });
     }
 
+    // Show or hide the "N stories hidden" bar
+    updateMutedIndicator(mutedCount) {
+        const indicator = document.getElementById('mutedIndicator');
+        
+        if (mutedCount === 0) {
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        indicator.style.display = 'flex';
+        document.getElementById('mutedCount').textContent = `${mutedCount} ${mutedCount === 1 ? 'story' : 'stories'} hidden`;
+        document.getElementById('toggleMutedBtn').textContent = this.showMutedStories ? 'Hide' : 'Show';
+    }
+
     // Create HTML element for a single story - like a React component
     createStoryElement(story) {
         const storyDiv = document.createElement('div');
-        storyDiv.className = 'story';
+        storyDiv.className = isStoryMuted(story, this.muteFilters) ? 'story muted' : 'story';
         
         // Format the time - like date formatting in your apps
         const timeAgo = this.formatTimeAgo(story.time);
@@ -471,8 +356,11 @@ class HackerNewsReader {
     setupMessageListener() {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'STORIES_UPDATED') {
+                // Background refreshes every feed - only redraw for the one on screen
+                if ((message.feed || DEFAULT_FEED) !== this.currentFeed) return;
+
                 console.log('Received background update, refreshing stories...');
-                this.stories = message.stories.slice(0, 10); // Popup shows only 10 stories
+                this.stories = [...message.stories, ...(message.mutedStories || [])]; // displayStories picks the first 10 visible
                 this.displayStories();
                 
                 // Show subtle update notification
@@ -514,7 +402,7 @@ class HackerNewsReader {
             this.hideError();
             
             // Clear cache
-            await hnCache.clearCache();
+            await hnCache.clearCache(this.currentFeed);
             
             // Fetch fresh data
             await this.loadStories();